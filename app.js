@@ -1,15 +1,50 @@
 class ColorBandEditor {
     constructor() {
         this.bandCount = 10;
+        this.maxBandCount = 100;
         this.colors = [];
         this.lockedColors = new Set();
         this.originalColors = [];
+        this.outOfGamut = new Set(); // Indices whose smoothed value was gamut mapped
+        this.stopNames = null; // Custom stop names per band; null uses getDefaultStepNames
+        this.stopSpacing = 'even'; // How bands are positioned: 'even', 'names' or 'custom' (see getStopPositions)
+        this.stopPositions = null; // Numeric position keys per band for custom spacing
+        
+        // Active graph point drag ({ channel, scale, index, moved }) - keeps the graph's scale fixed until release
+        this.graphDrag = null;
+        this.graphDragMoved = false;
+        
+        // 3D view rotation (radians) and the cached sRGB gamut wireframe per space
+        this.view3d = { yaw: -0.6, pitch: 0.35 };
+        this.view3dDragMoved = false;
+        this.gamutHullCache = {};
+        
+        // Target L* curve for the lightness smoothing mode; values holds typed L* per band in custom mode
+        this.lightnessTarget = {
+            curve: 'linear',
+            handles: { x1: 0.25, y1: 0.1, x2: 0.75, y2: 0.9 },
+            values: null
+        };
+        
+        // Display-P3 working space: P3 values per band, with this.colors holding sRGB fallbacks
+        this.colorGamut = 'srgb';
+        this.p3Colors = null;
+        
+        // Residuals from the last cross-scale alignment ({ metric, residuals, key }), shown until the palette changes
+        this.paletteAlignment = null;
+        this.paletteRefreshTimer = null; // Pending tabs/overview refresh after an edit settles
         
         // History system
         this.history = [];
         this.maxHistorySize = 50;
         this.isHistoryOpen = false;
         
+        // Example anchors for the data viz builder (ColorBrewer RdBu and viridis)
+        this.dataVizDefaults = {
+            diverging: '#2166ac, #f7f7f7, #b2182b',
+            multihue: '#440154, #3b528b, #21918c, #5ec962, #fde725'
+        };
+        
         // Track if user manually selected Tailwind color
         this.tailwindColorManuallySelected = false;
         
@@ -17,16 +52,25 @@ class ColorBandEditor {
         this.algorithmDescriptions = {
             'hsl': 'Interpolates between colors maintaining hue relationships for natural gradients.',
             'lab': 'Uses perceptually uniform LAB color space for smooth visual transitions.',
+            'oklab': 'Blends in OKLab, a modern perceptual space with more even hue and lightness than LAB.',
+            'oklch': 'Interpolates OKLCH lightness, chroma and hue separately, keeping hues vivid between anchors.',
             'rgb': 'Simple linear blending between red, green, and blue values.',
-            'bezier': 'Creates smooth curves through color space using control points.'
+            'bezier': 'Creates smooth curves through color space using control points.',
+            'catmullrom': 'Fits one Catmull-Rom spline through every locked color, so the scale bends smoothly at each anchor.',
+            'monotone': 'Fits a monotone cubic spline through every locked color, smooth at anchors without overshooting them.',
+            'deltae': 'Keeps the current path through color space but respaces unlocked bands so each step has the same Delta E, measured with the Delta E audit formula.',
+            'lightness': 'Solves each unlocked band to the target L* curve below, keeping its hue and chroma.'
         };
         
         this.initializeDefaultColors();
         this.setupEventListeners();
         this.setupAuditToggles();
         this.setupHistorySystem();
+        this.loadPaletteFromStorage(); // History labels name scales, so the palette loads first
         this.loadHistoryFromStorage();
         this.loadFromURL(); // Load state from URL if present
+        this.renderPaletteTabs();
+        this.updatePaletteOverview();
         this.renderEditor();
         this.updatePreview();
         this.drawColorSpaceGraph();
@@ -35,6 +79,7 @@ class ColorBandEditor {
         this.drawRedChannelGraph();
         this.drawGreenChannelGraph();
         this.drawBlueChannelGraph();
+        this.drawPerceptualGraphs();
         
         // Only save initial state if history is empty (fresh start)
         if (this.history.length === 0) {
@@ -78,6 +123,11 @@ class ColorBandEditor {
             this.updateURL(); // Update URL when band count changes
         });
         
+        // Band positions dropdown - auto apply
+        document.getElementById('stopSpacing').addEventListener('change', (e) => {
+            this.setStopSpacing(e.target.value);
+        });
+        
         // Smoothing strength input - auto apply
         const strengthInput = document.getElementById('smoothingStrength');
         
@@ -100,11 +150,123 @@ class ColorBandEditor {
         // Initialize algorithm description
         this.updateAlgorithmDescription(algorithmSelect.value);
         
+        // Spline color space dropdown - auto apply
+        document.getElementById('splineSpace').addEventListener('change', () => {
+            this.applySmoothing();
+            this.updateURL();
+        });
+        
+        // Spacing curve dropdown - auto apply
+        document.getElementById('spacingCurve').addEventListener('change', () => {
+            this.applySmoothing();
+            this.updateURL();
+        });
+        
+        // Target lightness curve dropdown - auto apply
+        document.getElementById('lightnessCurve').addEventListener('change', (e) => {
+            this.setLightnessCurve(e.target.value);
+        });
+        
+        // Working color space dropdown
+        document.getElementById('colorGamut').addEventListener('change', (e) => {
+            this.setColorGamut(e.target.value);
+        });
+        
+        // Gamut mapping dropdown - auto apply
+        document.getElementById('gamutMapping').addEventListener('change', () => {
+            this.applySmoothing();
+            this.updateURL();
+        });
+        
+        // Generate from seed button
+        document.getElementById('generateFromSeedBtn').addEventListener('click', () => {
+            this.generateFromSeed();
+        });
+        
+        // Derive dark variant button
+        document.getElementById('deriveDarkBtn').addEventListener('click', () => {
+            this.deriveDarkVariant();
+        });
+        
+        // Data viz builder: swap in example anchors for the chosen type unless they were edited
+        document.getElementById('vizType').addEventListener('change', (e) => {
+            const anchorsInput = document.getElementById('vizAnchors');
+            if (Object.values(this.dataVizDefaults).includes(anchorsInput.value)) {
+                anchorsInput.value = this.dataVizDefaults[e.target.value];
+            }
+        });
+        
+        document.getElementById('buildVizBtn').addEventListener('click', () => {
+            this.buildDataVizScale();
+        });
+        
+        // Data viz check - monotonic lightness and symmetric steps
+        document.getElementById('dataVizCheck').addEventListener('change', () => {
+            this.updateDataVizReport();
+            if (document.getElementById('lightnessComparison').checked) {
+                this.updateLightnessAnalysis();
+            }
+        });
+        
         // Export JSON/YAML button
         document.getElementById('exportJsonBtn').addEventListener('click', () => {
             this.exportAsFile();
         });
         
+        // Export ASE button
+        document.getElementById('exportAseBtn').addEventListener('click', () => {
+            this.exportAsAse();
+        });
+        
+        // Code export dialog
+        document.getElementById('exportCodeBtn').addEventListener('click', () => {
+            this.openCodeExport();
+        });
+        
+        ['codeExportNaming', 'codeExportNotation'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateCodeExport();
+            });
+        });
+        
+        // Tailwind v4 themes are written in oklch() like its own palette
+        document.getElementById('codeExportFormat').addEventListener('change', (e) => {
+            if (e.target.value === 'tailwind4') {
+                document.getElementById('codeExportNotation').value = 'oklch';
+            }
+            this.updateCodeExport();
+        });
+        
+        document.getElementById('codeExportPrefix').addEventListener('input', () => {
+            this.updateCodeExport();
+        });
+        
+        // Each scale is named after itself when exporting all, so the prefix becomes an optional namespace
+        document.getElementById('codeExportScope').addEventListener('change', (e) => {
+            document.getElementById('codeExportPrefix').value = e.target.value === 'all' ? '' : this.getActiveScale().name;
+            this.updateCodeExport();
+        });
+        
+        document.getElementById('codeExportCopyBtn').addEventListener('click', () => {
+            this.copyCodeExport();
+        });
+        
+        document.getElementById('codeExportDownloadBtn').addEventListener('click', () => {
+            this.downloadCodeExport();
+        });
+        
+        const codeExportDialog = document.getElementById('codeExportDialog');
+        document.getElementById('codeExportClose').addEventListener('click', () => {
+            codeExportDialog.close();
+        });
+        
+        // Clicks on the backdrop land on the dialog element itself
+        codeExportDialog.addEventListener('click', (e) => {
+            if (e.target === codeExportDialog) {
+                codeExportDialog.close();
+            }
+        });
+        
         // Import from clipboard button
         document.getElementById('importClipboardBtn').addEventListener('click', () => {
             this.importFromClipboard();
@@ -138,6 +300,45 @@ class ColorBandEditor {
             this.copySaturationGraphForFigma();
         });
         
+        document.getElementById('copyLabLightnessGraphFigma').addEventListener('click', () => {
+            this.copyLabLightnessGraphForFigma();
+        });
+        
+        document.getElementById('copyChromaGraphFigma').addEventListener('click', () => {
+            this.copyChromaGraphForFigma();
+        });
+        
+        document.getElementById('copyAbPlaneGraphFigma').addEventListener('click', () => {
+            this.copyAbPlaneGraphForFigma();
+        });
+        
+        // 3D view controls
+        document.getElementById('view3dSpace').addEventListener('change', () => {
+            this.draw3DView();
+        });
+        
+        document.getElementById('reset3dViewBtn').addEventListener('click', () => {
+            this.view3d = { yaw: -0.6, pitch: 0.35 };
+            this.draw3DView();
+        });
+        
+        document.querySelector('#view3dGraph svg').addEventListener('pointerdown', (e) => {
+            this.start3DRotate(e);
+        });
+        
+        // Perceptual graph space dropdowns
+        document.getElementById('labLightnessSpace').addEventListener('change', () => {
+            this.drawLabLightnessGraph();
+        });
+        
+        document.getElementById('chromaSpace').addEventListener('change', () => {
+            this.drawChromaGraph();
+        });
+        
+        document.getElementById('abPlaneSpace').addEventListener('change', () => {
+            this.drawAbPlaneGraph();
+        });
+        
         document.getElementById('copyRedGraphFigma').addEventListener('click', () => {
             this.copyRedGraphForFigma();
         });
@@ -153,6 +354,29 @@ class ColorBandEditor {
         document.getElementById('copyAllForFigma').addEventListener('click', () => {
             this.copyAllForFigma();
         });
+        
+        // Cross-scale check metric and tolerance
+        document.getElementById('paletteMetric').addEventListener('change', () => {
+            this.updatePaletteCheck();
+        });
+        
+        document.getElementById('paletteTolerance').addEventListener('change', () => {
+            this.updatePaletteCheck();
+        });
+        
+        // Cross-scale lightness alignment
+        document.getElementById('alignPaletteBtn').addEventListener('click', () => {
+            this.alignPalette();
+        });
+        
+        // Contrast matrix export buttons
+        document.getElementById('exportMatrixCsvBtn').addEventListener('click', () => {
+            this.exportContrastMatrix('csv');
+        });
+        
+        document.getElementById('exportMatrixJsonBtn').addEventListener('click', () => {
+            this.exportContrastMatrix('json');
+        });
     }
     
     setupThemeToggle() {
@@ -317,17 +541,22 @@ class ColorBandEditor {
     adjustBandCount() {
         const currentLength = this.colors.length;
         
+        // New bands are placed by position, so uneven stops resample where they actually sit
+        const oldPositions = this.getStopPositions();
+        const newPositions = this.getResampledStopPositions(this.bandCount);
+        
+        // Old band each new band was taken from (null for interpolated ones), to carry custom names over
+        let nameSources = this.colors.map((_, index) => index);
+        
         if (this.bandCount > currentLength) {
             // Add new colors by interpolating
             const newColors = [];
             const newOriginalColors = [];
+            nameSources = [];
             
             for (let i = 0; i < this.bandCount; i++) {
-                const factor = i / (this.bandCount - 1);
-                const sourceIndex = factor * (currentLength - 1);
-                const lowerIndex = Math.floor(sourceIndex);
-                const upperIndex = Math.min(lowerIndex + 1, currentLength - 1);
-                const localFactor = sourceIndex - lowerIndex;
+                const { lowerIndex, upperIndex, localFactor } = this.getResampleSource(newPositions[i], oldPositions);
+                nameSources.push(localFactor < 1e-6 ? lowerIndex : localFactor > 1 - 1e-6 ? upperIndex : null);
                 
                 if (lowerIndex === upperIndex) {
                     newColors.push(this.colors[lowerIndex]);
@@ -351,14 +580,21 @@ class ColorBandEditor {
             
             this.colors = newColors;
             this.originalColors = newOriginalColors;
+            
+            if (this.p3Colors) {
+                this.p3Colors = this.resampleP3Colors(newPositions, oldPositions);
+            }
         } else if (this.bandCount < currentLength) {
             // Remove colors by sampling
             const newColors = [];
             const newOriginalColors = [];
             const newLockedColors = new Set();
+            nameSources = [];
             
             for (let i = 0; i < this.bandCount; i++) {
-                const sourceIndex = Math.round(i * (currentLength - 1) / (this.bandCount - 1));
+                const { lowerIndex, upperIndex, localFactor } = this.getResampleSource(newPositions[i], oldPositions);
+                const sourceIndex = localFactor < 0.5 ? lowerIndex : upperIndex;
+                nameSources.push(sourceIndex);
                 newColors.push(this.colors[sourceIndex]);
                 newOriginalColors.push(this.originalColors[sourceIndex]);
                 
@@ -370,6 +606,24 @@ class ColorBandEditor {
             this.colors = newColors;
             this.originalColors = newOriginalColors;
             this.lockedColors = newLockedColors;
+            
+            if (this.p3Colors) {
+                this.p3Colors = this.resampleP3Colors(newPositions, oldPositions);
+            }
+        }
+        
+        // In Display P3 the P3 values are authoritative; refresh their sRGB fallbacks
+        if (this.p3Colors) {
+            this.colors = this.p3Colors.map(p3 => this.getP3Fallback(p3));
+        }
+        
+        // Gamut flags refer to old indices; custom stop names follow their bands and custom positions keep their range
+        this.outOfGamut.clear();
+        this.stopNames = this.remapStopNames(nameSources);
+        if (this.stopPositions) {
+            const first = this.stopPositions[0];
+            const last = this.stopPositions[this.stopPositions.length - 1];
+            this.stopPositions = newPositions.map(position => parseFloat((first + (last - first) * position).toFixed(3)));
         }
         
         // Re-render everything after band count change
@@ -381,10 +635,126 @@ class ColorBandEditor {
         this.drawRedChannelGraph();
         this.drawGreenChannelGraph();
         this.drawBlueChannelGraph();
+        this.drawPerceptualGraphs();
         this.updateURL();
         this.saveToHistory(`Changed to ${this.bandCount} colors`);
     }
     
+    // Custom names for resampled bands: bands taken from an old band keep its name, interpolated
+    // bands get their default step name (suffixed -2, -3... if a kept name already uses it)
+    remapStopNames(sources) {
+        if (!this.stopNames) return null;
+        
+        const kept = new Set(sources.filter(source => source !== null).map(source => this.stopNames[source]));
+        const defaults = this.getDefaultStepNames(sources.length);
+        const names = sources.map((source, index) => {
+            if (source !== null) return this.stopNames[source];
+            
+            return this.uniqueStopName(defaults[index], kept);
+        });
+        return this.parseStopNames(names, names.length);
+    }
+    
+    // Name not yet in taken (suffixed -2, -3... when needed), added to taken
+    uniqueStopName(name, taken) {
+        let unique = name;
+        for (let suffix = 2; taken.has(unique); suffix++) {
+            unique = `${name}-${suffix}`;
+        }
+        taken.add(unique);
+        return unique;
+    }
+    
+    // Make arbitrary names (such as design token keys) usable as stop names: invalid names are
+    // slugified, empty ones take their default step name, and repeats get a suffix
+    sanitizeStopNames(names) {
+        const defaults = this.getDefaultStepNames(names.length);
+        const taken = new Set();
+        return names.map((name, index) => {
+            const trimmed = String(name).trim();
+            const cleaned = this.isValidStopName(trimmed) ? trimmed : this.slugify(trimmed);
+            return this.uniqueStopName(cleaned || defaults[index], taken);
+        });
+    }
+    
+    // Resample Display-P3 values to new band positions, matching adjustBandCount's mapping
+    resampleP3Colors(newPositions, oldPositions) {
+        const source = this.p3Colors;
+        const resampled = [];
+        
+        for (let i = 0; i < newPositions.length; i++) {
+            const { lowerIndex, upperIndex, localFactor } = this.getResampleSource(newPositions[i], oldPositions);
+            
+            if (newPositions.length < source.length) {
+                resampled.push({ ...source[localFactor < 0.5 ? lowerIndex : upperIndex] });
+                continue;
+            }
+            
+            const lower = source[lowerIndex];
+            const upper = source[upperIndex];
+            
+            resampled.push({
+                r: lower.r + (upper.r - lower.r) * localFactor,
+                g: lower.g + (upper.g - lower.g) * localFactor,
+                b: lower.b + (upper.b - lower.b) * localFactor
+            });
+        }
+        
+        return resampled;
+    }
+    
+    // The two old bands a position (0-1) falls between, and how far along it is
+    getResampleSource(position, oldPositions) {
+        let lowerIndex = 0;
+        while (lowerIndex < oldPositions.length - 2 && oldPositions[lowerIndex + 1] <= position) {
+            lowerIndex++;
+        }
+        
+        const upperIndex = Math.min(lowerIndex + 1, oldPositions.length - 1);
+        const span = oldPositions[upperIndex] - oldPositions[lowerIndex];
+        const localFactor = span > 0 ? Math.max(0, Math.min(1, (position - oldPositions[lowerIndex]) / span)) : 0;
+        
+        return { lowerIndex, upperIndex, localFactor };
+    }
+    
+    setColorGamut(gamut) {
+        this.colorGamut = gamut;
+        this.p3Colors = gamut === 'display-p3' ? this.colors.map(color => ColorUtils.hexToP3(color)) : null;
+        document.getElementById('colorGamut').value = gamut;
+        
+        this.updateAlgorithmDescription(document.getElementById('smoothingAlgorithm').value);
+        this.renderEditor();
+        this.updatePreview();
+        this.updateURL();
+        this.saveToHistory(`Switched to ${gamut === 'display-p3' ? 'Display P3' : 'sRGB'}`, false);
+    }
+    
+    // sRGB fallback for a Display-P3 color, mapped with the selected gamut mapping method
+    getP3Fallback(p3) {
+        return ColorUtils.p3ToHex(p3, document.getElementById('gamutMapping').value);
+    }
+    
+    // Keep Display-P3 values in step with edits made through sRGB hex paths
+    syncP3Colors() {
+        if (!this.p3Colors) return;
+        
+        this.p3Colors = this.colors.map((hex, index) => {
+            const p3 = this.p3Colors[index];
+            return p3 && this.getP3Fallback(p3) === hex.toLowerCase() ? p3 : ColorUtils.hexToP3(hex);
+        });
+    }
+    
+    updateP3Color(index, p3) {
+        this.p3Colors[index] = p3;
+        this.updateColor(index, this.getP3Fallback(p3));
+    }
+    
+    // Whether the browser and screen can show Display-P3 colors
+    supportsDisplayP3() {
+        return Boolean(window.CSS && CSS.supports('color', 'color(display-p3 1 0 0)') &&
+            window.matchMedia('(color-gamut: p3)').matches);
+    }
+    
     interpolateColors(color1, color2, factor) {
         const rgb1 = ColorUtils.hexToRgb(color1);
         const rgb2 = ColorUtils.hexToRgb(color2);
@@ -400,6 +770,12 @@ class ColorBandEditor {
         const editorContainer = document.getElementById('colorBandEditor');
         editorContainer.innerHTML = '';
         
+        this.updateSeedStepOptions();
+        
+        this.syncP3Colors();
+        this.syncStopPositions();
+        
+        const stopNames = this.getStopNames();
         this.colors.forEach((color, index) => {
             const group = document.createElement('div');
             group.className = 'color-input-group';
@@ -408,8 +784,20 @@ class ColorBandEditor {
             const header = document.createElement('div');
             header.className = 'color-input-header';
             
-            const indexLabel = document.createElement('span');
-            indexLabel.textContent = index;
+            const stopName = stopNames[index];
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'stop-name-input';
+            nameInput.value = stopName;
+            nameInput.size = Math.max(2, stopName.length);
+            nameInput.spellcheck = false;
+            nameInput.title = `Step ${index} name - letters, digits, - and _ (empty restores ${this.getDefaultStepNames(this.colors.length)[index]})`;
+            nameInput.setAttribute('aria-label', `Name of step ${index}`);
+            nameInput.addEventListener('change', (e) => {
+                if (!this.setStopName(index, e.target.value)) {
+                    e.target.value = stopName; // Reset invalid or duplicate names
+                }
+            });
             
             const lockBtn = document.createElement('button');
             lockBtn.className = `lock-btn ${this.lockedColors.has(index) ? 'locked' : ''}`;
@@ -421,7 +809,7 @@ class ColorBandEditor {
                 this.toggleLock(index);
             });
             
-            header.appendChild(indexLabel);
+            header.appendChild(nameInput);
             header.appendChild(lockBtn);
             
             // Color input
@@ -442,11 +830,22 @@ class ColorBandEditor {
             // Hex input
             const hexInput = document.createElement('input');
             hexInput.type = 'text';
-            hexInput.className = 'hex-input';
-            hexInput.value = color;
+            hexInput.className = this.p3Colors ? 'hex-input hex-input--p3' : 'hex-input';
+            const inputValue = this.p3Colors ? ColorUtils.formatDisplayP3(this.p3Colors[index]) : color;
+            hexInput.value = inputValue;
+            hexInput.title = this.p3Colors ? `sRGB fallback: ${color}` : '';
             hexInput.addEventListener('change', (e) => {
+                const p3 = this.p3Colors ? ColorUtils.parseDisplayP3(e.target.value) : null;
                 const hex = this.validateHex(e.target.value);
-                if (hex) {
+                if (p3) {
+                    // Auto-lock the color when manually edited
+                    if (!this.lockedColors.has(index)) {
+                        this.lockedColors.add(index);
+                    }
+                    this.updateP3Color(index, p3);
+                    // Re-render to update lock button state
+                    this.renderEditor();
+                } else if (hex) {
                     // Auto-lock the color when manually edited
                     if (!this.lockedColors.has(index)) {
                         this.lockedColors.add(index);
@@ -456,7 +855,7 @@ class ColorBandEditor {
                     // Re-render to update lock button state
                     this.renderEditor();
                 } else {
-                    e.target.value = color; // Reset to current value
+                    e.target.value = inputValue; // Reset to current value
                 }
             });
             
@@ -499,62 +898,269 @@ class ColorBandEditor {
             group.appendChild(colorInput);
             group.appendChild(hexInput);
             
+            // Position key for custom spacing
+            if (this.stopSpacing === 'custom' && this.stopPositions) {
+                const positionInput = document.createElement('input');
+                positionInput.type = 'number';
+                positionInput.className = 'stop-position-input';
+                positionInput.step = 'any';
+                positionInput.value = this.stopPositions[index];
+                positionInput.title = 'Position along the scale - keys must increase from band to band';
+                positionInput.setAttribute('aria-label', `Position of step ${index}`);
+                positionInput.addEventListener('change', (e) => {
+                    const value = parseFloat(e.target.value);
+                    if (!Number.isFinite(value) || !this.setStopPosition(index, value)) {
+                        e.target.value = this.stopPositions[index]; // Reset out-of-order positions
+                    }
+                });
+                group.appendChild(positionInput);
+            }
+            
             editorContainer.appendChild(group);
         });
     }
     
-    validateHex(value) {
-        // Remove # if present and validate
-        let hex = value.replace('#', '');
+    // Tailwind-style step names for a band count: 50-950 for 11 bands, otherwise spread evenly
+    // over that range, rounded to 50s (or finer when 50s would repeat)
+    getDefaultStepNames(count) {
+        if (count === 11) {
+            return [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950].map(String);
+        }
         
-        if (!/^[0-9A-Fa-f]{6}$/.test(hex)) {
+        const positions = Array.from({ length: count }, (_, i) => count > 1 ? 50 + (900 * i) / (count - 1) : 500);
+        for (const precision of [50, 10, 1]) {
+            const names = positions.map(value => String(Math.round(value / precision) * precision));
+            if (new Set(names).size === names.length) return names;
+        }
+        
+        return positions.map(value => value.toFixed(1));
+    }
+    
+    // Stop names for a scale: its custom names when they still fit, otherwise the default steps
+    getStopNames(colors = this.colors, stopNames = this.stopNames) {
+        if (Array.isArray(stopNames) && stopNames.length === colors.length) {
+            return [...stopNames];
+        }
+        return this.getDefaultStepNames(colors.length);
+    }
+    
+    // Stop names double as keys in URLs and exports, so keep them to letters, digits, - and _
+    isValidStopName(name) {
+        return typeof name === 'string' && /^[A-Za-z0-9_-]+$/.test(name);
+    }
+    
+    // Custom names from imported data, or null unless there is one unique, valid name per color
+    parseStopNames(names, count) {
+        if (!Array.isArray(names) || names.length !== count) return null;
+        
+        const cleaned = names.map(name => String(name).trim());
+        if (!cleaned.every(name => this.isValidStopName(name)) || new Set(cleaned).size !== cleaned.length) {
             return null;
         }
         
-        return '#' + hex.toLowerCase();
+        const defaults = this.getDefaultStepNames(count);
+        return cleaned.every((name, index) => name === defaults[index]) ? null : cleaned;
     }
-
-    incrementHexColor(hex, increment) {
-        // Convert hex to RGB
-        const r = parseInt(hex.slice(1, 3), 16);
-        const g = parseInt(hex.slice(3, 5), 16);
-        const b = parseInt(hex.slice(5, 7), 16);
+    
+    // Rename one stop; an empty name restores that band's default step name
+    setStopName(index, name) {
+        const names = this.getStopNames();
+        const trimmed = name.trim() || this.getDefaultStepNames(this.colors.length)[index];
         
-        // Increment each channel by the specified amount
-        const newR = Math.max(0, Math.min(255, r + increment));
-        const newG = Math.max(0, Math.min(255, g + increment));
-        const newB = Math.max(0, Math.min(255, b + increment));
+        if (!this.isValidStopName(trimmed) || names.some((other, otherIndex) => otherIndex !== index && other === trimmed)) {
+            return false;
+        }
+        if (names[index] === trimmed) return true;
         
-        // Convert back to hex
-        const rHex = newR.toString(16).padStart(2, '0');
-        const gHex = newG.toString(16).padStart(2, '0');
-        const bHex = newB.toString(16).padStart(2, '0');
+        names[index] = trimmed;
+        this.stopNames = this.parseStopNames(names, this.colors.length);
         
-        return `#${rHex}${gHex}${bHex}`;
+        this.renderEditor();
+        this.updatePreview();
+        this.updateURL();
+        this.saveToHistory(`Renamed step ${index} to ${trimmed}`, false);
+        
+        // Positions taken from step names follow the rename
+        if (this.stopSpacing === 'names') {
+            this.applySmoothing();
+        }
+        return true;
     }
-
-    toggleLock(index) {
-        const wasLocked = this.lockedColors.has(index);
-        if (wasLocked) {
-            this.lockedColors.delete(index);
+    
+    // Band positions from 0 to 1 for the interpolators and graph x-axes. stopSpacing is 'even',
+    // 'names' (numeric step names such as 50...950 as keys) or 'custom' (typed keys in stopPositions);
+    // keys that are not numeric and strictly increasing fall back to even spacing
+    getStopPositions() {
+        const count = this.colors.length;
+        let keys = null;
+        
+        if (this.stopSpacing === 'names') {
+            keys = this.getStopNames().map(Number);
+        } else if (this.stopSpacing === 'custom') {
+            keys = this.stopPositions;
+        }
+        
+        return this.normalizeStopPositions(keys, count) || this.getEvenStopPositions(count);
+    }
+    
+    getEvenStopPositions(count) {
+        return Array.from({ length: count }, (_, i) => count > 1 ? i / (count - 1) : 0);
+    }
+    
+    // Scale numeric keys to 0-1, or null unless there is one strictly increasing number per band
+    normalizeStopPositions(keys, count) {
+        if (!Array.isArray(keys) || keys.length !== count || !keys.every(Number.isFinite)) return null;
+        if (!keys.every((key, index) => index === 0 || key > keys[index - 1])) return null;
+        
+        const first = keys[0];
+        const span = keys[keys.length - 1] - first;
+        return keys.map(key => (key - first) / span);
+    }
+    
+    // Positions for a new band count: step names follow the default steps, custom keys keep their range evenly
+    getResampledStopPositions(count) {
+        if (this.stopSpacing === 'names') {
+            return this.normalizeStopPositions(this.getDefaultStepNames(count).map(Number), count) || this.getEvenStopPositions(count);
+        }
+        return this.getEvenStopPositions(count);
+    }
+    
+    setStopSpacing(spacing) {
+        this.stopSpacing = spacing;
+        document.getElementById('stopSpacing').value = spacing;
+        this.syncStopPositions();
+        this.applySmoothing();
+    }
+    
+    // Custom keys start from the current layout, using numeric step names when there are any.
+    // Also covers imports that replaced the colors with a different band count.
+    syncStopPositions() {
+        if (this.stopSpacing !== 'custom' || this.normalizeStopPositions(this.stopPositions, this.colors.length)) return;
+        
+        const names = this.getStopNames().map(Number);
+        this.stopPositions = this.normalizeStopPositions(names, this.colors.length)
+            ? names
+            : this.getEvenStopPositions(this.colors.length).map(position => parseFloat(position.toFixed(3)));
+    }
+    
+    // Move one band's custom position key; keys must stay strictly increasing
+    setStopPosition(index, value) {
+        const keys = [...this.stopPositions];
+        keys[index] = value;
+        if (!this.normalizeStopPositions(keys, this.colors.length)) return false;
+        
+        this.stopPositions = keys;
+        this.applySmoothing();
+        return true;
+    }
+    
+    // Keep the seed step dropdown in step with the band count, preferring the step nearest 500
+    updateSeedStepOptions() {
+        const stepSelect = document.getElementById('seedStep');
+        const names = this.getStopNames();
+        if (!stepSelect || Array.from(stepSelect.options).map(option => option.textContent).join(',') === names.join(',')) return;
+        
+        const previous = stepSelect.options.length === names.length ? stepSelect.value : null;
+        stepSelect.innerHTML = '';
+        names.forEach((name, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = name;
+            stepSelect.appendChild(option);
+        });
+        
+        // Renamed stops keep the chosen step; custom names without numbers fall back to the middle band
+        const distances = names.map(name => Math.abs(parseInt(name, 10) - 500)).map(distance => isNaN(distance) ? Infinity : distance);
+        const nearest = distances.indexOf(Math.min(...distances));
+        const middle = isFinite(distances[nearest]) ? nearest : Math.floor(names.length / 2);
+        stepSelect.value = previous !== null ? previous : middle;
+    }
+    
+    generateFromSeed() {
+        const seedInput = document.getElementById('seedColor');
+        const seedHex = this.validateHex(seedInput.value.trim());
+        if (!seedHex) {
+            this.showCopyFeedback('generateFromSeedBtn', 'Invalid seed color');
+            return;
+        }
+        seedInput.value = seedHex;
+        
+        const seedIndex = parseInt(document.getElementById('seedStep').value, 10) || 0;
+        const gamutOptions = {
+            gamutMapping: document.getElementById('gamutMapping').value,
+            outOfGamut: new Set()
+        };
+        
+        // In Display P3 the scale is built on P3 channels so bands can leave sRGB
+        const scale = SmoothingAlgorithms.seedScale(this.p3Colors ? ColorUtils.hexToP3(seedHex) : seedHex, this.colors.length, seedIndex, {
+            ...gamutOptions,
+            gamut: this.p3Colors ? 'display-p3' : 'srgb',
+            positions: this.getStopPositions(),
+            hueDrift: parseFloat(document.getElementById('seedHueDrift').value) || 0,
+            chromaFalloff: Math.max(0, Math.min(1, parseFloat(document.getElementById('seedChromaFalloff').value) || 0))
+        });
+        if (this.p3Colors) {
+            this.p3Colors = scale;
+            this.colors = scale.map(p3 => this.getP3Fallback(p3));
         } else {
-            this.lockedColors.add(index);
+            this.colors = scale;
         }
+        this.originalColors = [...this.colors];
+        this.outOfGamut = gamutOptions.outOfGamut;
+        
+        // Lock the seed so later smoothing keeps it
+        this.lockedColors = new Set([seedIndex]);
+        
         this.renderEditor();
+        this.updatePreview();
         this.drawColorSpaceGraph();
         this.drawHueSpaceGraph();
         this.drawSaturationSpaceGraph();
         this.drawRedChannelGraph();
         this.drawGreenChannelGraph();
         this.drawBlueChannelGraph();
-        this.updateURL(); // Update URL when lock state changes
-        
-        const action = wasLocked ? 'Unlocked' : 'Locked';
-        this.saveToHistory(`${action} color ${index + 1}`, false); // Don't skip similar for lock changes
+        this.drawPerceptualGraphs();
+        this.updateURL();
+        this.saveToHistory(`Generated from seed ${seedHex}`, false);
     }
     
-    updateColor(index, hex) {
-        this.colors[index] = hex;
+    // Replace the scale with a diverging (low, midpoint, high) or multi-hue sequential data viz scale,
+    // locking every band that lands on an anchor
+    buildDataVizScale() {
+        const type = document.getElementById('vizType').value;
+        const anchorsInput = document.getElementById('vizAnchors');
+        const anchors = anchorsInput.value.split(/[\s,]+/).filter(Boolean).map(value => this.validateHex(value));
+        
+        if (anchors.length < 2 || !anchors.every(Boolean)) {
+            this.showCopyFeedback('buildVizBtn', 'Invalid anchor colors');
+            return;
+        }
+        if (type === 'diverging' && anchors.length !== 3) {
+            this.showCopyFeedback('buildVizBtn', 'Need low, mid and high');
+            return;
+        }
+        anchorsInput.value = anchors.join(', ');
+        
+        const gamutOptions = {
+            gamutMapping: document.getElementById('gamutMapping').value,
+            outOfGamut: new Set(),
+            positions: this.getStopPositions(),
+            diverging: type === 'diverging'
+        };
+        const { colors, anchorIndices } = SmoothingAlgorithms.dataVizScale(anchors, this.colors.length, gamutOptions);
+        
+        this.colors = colors;
+        this.originalColors = [...colors];
+        this.outOfGamut = gamutOptions.outOfGamut;
+        this.lockedColors = new Set(anchorIndices);
+        if (this.p3Colors) {
+            this.p3Colors = this.colors.map(color => ColorUtils.hexToP3(color));
+        }
+        
+        // Turn on the matching check
+        document.getElementById('dataVizCheck').value = type === 'diverging' ? 'diverging' : 'sequential';
+        
+        this.renderEditor();
         this.updatePreview();
         this.drawColorSpaceGraph();
         this.drawHueSpaceGraph();
@@ -562,17 +1168,874 @@ class ColorBandEditor {
         this.drawRedChannelGraph();
         this.drawGreenChannelGraph();
         this.drawBlueChannelGraph();
-        this.updateURL(); // Update URL when color changes
-        this.saveToHistory(`Updated color ${index + 1}`);
+        this.drawPerceptualGraphs();
+        this.updateURL();
+        this.saveToHistory(`Built ${type === 'diverging' ? 'diverging' : 'multi-hue'} scale`, false);
     }
     
-    updateAlgorithmDescription(algorithm) {
-        const descriptionElement = document.getElementById('algorithmDescription');
-        descriptionElement.textContent = this.algorithmDescriptions[algorithm];
+    // Palette workspace: every scale keeps its own colors, locks and smoothing settings.
+    // The active scale is edited through this.colors and copied back on capture.
+    getScaleSettings() {
+        return {
+            algorithm: document.getElementById('smoothingAlgorithm').value,
+            strength: parseFloat(document.getElementById('smoothingStrength').value),
+            gamutMapping: document.getElementById('gamutMapping').value,
+            splineSpace: document.getElementById('splineSpace').value,
+            spacingCurve: document.getElementById('spacingCurve').value,
+            stopSpacing: this.stopSpacing,
+            dataVizCheck: document.getElementById('dataVizCheck').value,
+            lightnessTarget: {
+                curve: this.lightnessTarget.curve,
+                handles: { ...this.lightnessTarget.handles },
+                values: this.lightnessTarget.values ? [...this.lightnessTarget.values] : null
+            }
+        };
     }
     
-    // Contrast calculation utilities
-    hexToRgb(hex) {
+    applyScaleSettings(settings) {
+        const strengthInput = document.getElementById('smoothingStrength');
+        
+        document.getElementById('smoothingAlgorithm').value = settings.algorithm;
+        strengthInput.value = settings.strength;
+        document.getElementById('gamutMapping').value = settings.gamutMapping;
+        document.getElementById('splineSpace').value = settings.splineSpace;
+        document.getElementById('spacingCurve').value = settings.spacingCurve;
+        document.getElementById('lightnessCurve').value = settings.lightnessTarget.curve;
+        this.stopSpacing = settings.stopSpacing || 'even';
+        document.getElementById('stopSpacing').value = this.stopSpacing;
+        document.getElementById('dataVizCheck').value = settings.dataVizCheck || 'none';
+        
+        this.lightnessTarget = {
+            curve: settings.lightnessTarget.curve,
+            handles: { ...settings.lightnessTarget.handles },
+            values: settings.lightnessTarget.values ? [...settings.lightnessTarget.values] : null
+        };
+        
+        this.updateNumberInputButtonStates(strengthInput);
+        this.updateAlgorithmDescription(settings.algorithm);
+    }
+    
+    // Copy the editor's live state into the active palette entry
+    captureActiveScale() {
+        const scale = this.palette.scales[this.palette.activeIndex];
+        if (!scale) return;
+        
+        scale.colors = [...this.colors];
+        scale.originalColors = [...this.originalColors];
+        scale.lockedColors = Array.from(this.lockedColors);
+        scale.bandCount = this.bandCount;
+        scale.p3Colors = this.p3Colors ? this.p3Colors.map(p3 => ({ ...p3 })) : null;
+        scale.stopNames = this.stopNames ? [...this.stopNames] : null;
+        scale.stopPositions = this.stopPositions ? [...this.stopPositions] : null;
+        scale.settings = this.getScaleSettings();
+    }
+    
+    // Load a palette entry into the editor without redrawing
+    loadScale(index) {
+        const scale = this.palette.scales[index];
+        this.palette.activeIndex = index;
+        
+        this.colors = [...scale.colors];
+        this.originalColors = [...scale.originalColors];
+        this.lockedColors = new Set(scale.lockedColors);
+        this.bandCount = scale.bandCount;
+        this.p3Colors = scale.p3Colors ? scale.p3Colors.map(p3 => ({ ...p3 })) : null;
+        this.stopNames = scale.stopNames ? [...scale.stopNames] : null;
+        this.stopPositions = scale.stopPositions ? [...scale.stopPositions] : null;
+        this.colorGamut = this.p3Colors ? 'display-p3' : 'srgb';
+        this.outOfGamut.clear();
+        
+        document.getElementById('bandCount').value = this.bandCount;
+        document.getElementById('colorGamut').value = this.colorGamut;
+        this.applyScaleSettings(scale.settings);
+    }
+    
+    createScale(name) {
+        const scale = { id: this.palette.nextId++, name };
+        this.palette.scales.push(scale);
+        return scale;
+    }
+    
+    getActiveScale() {
+        return this.palette.scales[this.palette.activeIndex];
+    }
+    
+    // Redraw the editor, preview and graphs after the active scale changed
+    renderActiveScale() {
+        this.renderPaletteTabs();
+        this.updatePaletteOverview();
+        this.renderEditor();
+        this.updatePreview();
+        this.drawColorSpaceGraph();
+        this.drawHueSpaceGraph();
+        this.drawSaturationSpaceGraph();
+        this.drawRedChannelGraph();
+        this.drawGreenChannelGraph();
+        this.drawBlueChannelGraph();
+        this.drawPerceptualGraphs();
+        this.updateURL();
+    }
+    
+    switchScale(index) {
+        if (index === this.palette.activeIndex || !this.palette.scales[index]) return;
+        
+        this.captureActiveScale();
+        this.loadScale(index);
+        this.renderActiveScale();
+        this.savePaletteToStorage();
+        this.saveToHistory(`Switched to ${this.getActiveScale().name}`, false);
+    }
+    
+    // New scales start as a copy of the active one, ready to be regenerated or re-seeded
+    addScale() {
+        const defaultName = `Scale ${this.palette.nextId}`;
+        const name = prompt('Name for the new scale:', defaultName);
+        if (name === null) return;
+        
+        this.captureActiveScale();
+        const source = this.getActiveScale();
+        const scale = this.createScale(name.trim() || defaultName);
+        Object.assign(scale, JSON.parse(JSON.stringify({ ...source, id: scale.id, name: scale.name })));
+        
+        this.loadScale(this.palette.scales.length - 1);
+        this.renderActiveScale();
+        this.savePaletteToStorage();
+        this.saveToHistory(`Added scale ${scale.name}`, false);
+    }
+    
+    renameScale(index) {
+        const scale = this.palette.scales[index];
+        if (!scale) return;
+        
+        const name = prompt('Rename scale:', scale.name);
+        if (name === null || !name.trim()) return;
+        
+        scale.name = name.trim();
+        this.renderPaletteTabs();
+        this.updatePaletteOverview();
+        this.savePaletteToStorage();
+    }
+    
+    removeScale(index) {
+        const scale = this.palette.scales[index];
+        if (!scale || this.palette.scales.length <= 1) return;
+        if (!confirm(`Delete the scale "${scale.name}"? This cannot be undone.`)) return;
+        
+        this.captureActiveScale();
+        const wasActive = index === this.palette.activeIndex;
+        this.palette.scales.splice(index, 1);
+        
+        if (wasActive) {
+            this.loadScale(Math.min(index, this.palette.scales.length - 1));
+            this.renderActiveScale();
+            this.saveToHistory(`Deleted scale ${scale.name}`, false);
+        } else {
+            if (index < this.palette.activeIndex) this.palette.activeIndex--;
+            this.renderPaletteTabs();
+            this.updatePaletteOverview();
+        }
+        
+        this.savePaletteToStorage();
+    }
+    
+    // The tabs and overview rebuild every scale, so edits refresh them once after they settle
+    // (history saves and undo) instead of on every preview update during a drag or slider move
+    schedulePaletteRefresh() {
+        clearTimeout(this.paletteRefreshTimer);
+        this.paletteRefreshTimer = setTimeout(() => {
+            this.paletteRefreshTimer = null;
+            this.renderPaletteTabs();
+            this.updatePaletteOverview();
+        }, 150);
+    }
+    
+    renderPaletteTabs() {
+        const tabs = document.getElementById('paletteTabs');
+        if (!tabs) return;
+        
+        tabs.innerHTML = '';
+        const canRemove = this.palette.scales.length > 1;
+        
+        this.palette.scales.forEach((scale, index) => {
+            const isActive = index === this.palette.activeIndex;
+            const colors = isActive ? this.colors : scale.colors;
+            
+            const tab = document.createElement('div');
+            tab.className = `palette-tab${isActive ? ' palette-tab--active' : ''}`;
+            tab.setAttribute('role', 'tab');
+            tab.setAttribute('aria-selected', isActive ? 'true' : 'false');
+            tab.tabIndex = 0;
+            tab.title = `${scale.name} (${colors.length} colors) - double-click to rename`;
+            tab.onclick = () => this.switchScale(index);
+            tab.ondblclick = () => this.renameScale(index);
+            tab.onkeydown = (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.switchScale(index);
+                }
+            };
+            
+            const chip = document.createElement('span');
+            chip.className = 'palette-tab-chip';
+            chip.style.background = `linear-gradient(to right, ${colors.join(', ')})`;
+            tab.appendChild(chip);
+            
+            const label = document.createElement('span');
+            label.className = 'palette-tab-name';
+            label.textContent = scale.name;
+            tab.appendChild(label);
+            
+            if (canRemove) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'palette-tab-remove';
+                removeBtn.title = `Delete ${scale.name}`;
+                removeBtn.setAttribute('aria-label', `Delete ${scale.name}`);
+                removeBtn.innerHTML = '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M19,6.41L17.59,5L12,10.59L6.41,5L5,6.41L10.59,12L5,17.59L6.41,19L12,13.41L17.59,19L19,17.59L13.41,12L19,6.41Z" /></svg>';
+                removeBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    this.removeScale(index);
+                };
+                tab.appendChild(removeBtn);
+            }
+            
+            tabs.appendChild(tab);
+        });
+        
+        const addBtn = document.createElement('button');
+        addBtn.className = 'btn btn--sm btn--secondary palette-tab-add';
+        addBtn.title = 'Add a scale (starts as a copy of the current one)';
+        addBtn.setAttribute('aria-label', 'Add scale');
+        addBtn.innerHTML = '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M19,13H13V19H11V13H5V11H11V5H13V11H19V13Z" /></svg>';
+        addBtn.onclick = () => this.addScale();
+        tabs.appendChild(addBtn);
+    }
+    
+    // Side-by-side ramps for every scale plus the cross-scale lightness check
+    updatePaletteOverview() {
+        const container = document.getElementById('paletteOverviewContainer');
+        if (!container) return;
+        
+        if (this.palette.scales.length < 2) {
+            container.style.display = 'none';
+            return;
+        }
+        container.style.display = 'block';
+        this.captureActiveScale();
+        
+        const overview = document.getElementById('paletteOverview');
+        overview.innerHTML = '';
+        
+        this.palette.scales.forEach((scale, index) => {
+            const row = document.createElement('div');
+            row.className = `palette-overview-row${index === this.palette.activeIndex ? ' active' : ''}`;
+            row.onclick = () => this.switchScale(index);
+            
+            const name = document.createElement('div');
+            name.className = 'palette-overview-name';
+            name.textContent = scale.name;
+            name.title = scale.name;
+            row.appendChild(name);
+            
+            const ramp = document.createElement('div');
+            ramp.className = 'palette-overview-ramp';
+            const stepNames = this.getStopNames(scale.colors, scale.stopNames);
+            scale.colors.forEach((color, colorIndex) => {
+                const swatch = document.createElement('div');
+                swatch.className = 'palette-overview-swatch';
+                swatch.style.backgroundColor = color;
+                swatch.title = `${scale.name} ${stepNames[colorIndex]}: ${color} (L* ${ColorUtils.hexToLab(color).l.toFixed(1)})`;
+                ramp.appendChild(swatch);
+            });
+            row.appendChild(ramp);
+            
+            overview.appendChild(row);
+        });
+        
+        this.updatePaletteReferenceOptions();
+        this.updatePaletteCheck();
+    }
+    
+    // Scales compared with the active one: same light/dark mode, split by whether the band count matches
+    getComparableScales() {
+        const isDark = Boolean(this.getActiveScale().variant);
+        const sameMode = this.palette.scales.filter(scale => Boolean(scale.variant) === isDark);
+        
+        return {
+            scales: sameMode.filter(scale => scale.colors.length === this.colors.length),
+            skipped: sameMode.filter(scale => scale.colors.length !== this.colors.length)
+        };
+    }
+    
+    // L* (or APCA Lc against white) of each step across every comparable scale
+    getPaletteStepCheck(metric, tolerance) {
+        const count = this.colors.length;
+        const { scales, skipped } = this.getComparableScales();
+        const stepNames = this.getStopNames();
+        
+        // Display-P3 scales are measured on their P3 values rather than the sRGB fallbacks
+        const measure = (scale, index) => {
+            const color = scale.p3Colors ? scale.p3Colors[index] : scale.colors[index];
+            if (metric === 'apca') return ColorUtils.getAPCAContrast(color, '#ffffff');
+            return scale.p3Colors ? ColorUtils.p3ToLab(color).l : ColorUtils.hexToLab(color).l;
+        };
+        
+        const steps = stepNames.map((step, index) => {
+            const values = scales.map(scale => measure(scale, index));
+            const spread = Math.max(...values) - Math.min(...values);
+            return { step, index, values, spread, pass: spread <= tolerance };
+        });
+        
+        return { scales, skipped, steps };
+    }
+    
+    updatePaletteCheck() {
+        const table = document.getElementById('paletteCheck');
+        const summary = document.getElementById('paletteCheckSummary');
+        if (!table) return;
+        
+        const metric = document.getElementById('paletteMetric').value;
+        const unit = metric === 'apca' ? 'Lc' : 'L*';
+        const tolerance = parseFloat(document.getElementById('paletteTolerance').value) || 2;
+        const { scales, skipped, steps } = this.getPaletteStepCheck(metric, tolerance);
+        
+        if (scales.length < 2) {
+            table.innerHTML = '';
+            summary.textContent = `No other ${this.getActiveScale().variant ? 'dark' : 'light'} scales with ${this.colors.length} colors to compare.`;
+            summary.className = 'palette-check-summary';
+            return;
+        }
+        
+        // Header row: one column per step
+        let html = `<thead><tr><th class="palette-check-corner" title="${metric === 'apca' ? 'APCA Lc of each step against white' : 'CIELAB lightness of each step'}">${unit}</th>`;
+        steps.forEach(step => {
+            html += `<th>${step.step}</th>`;
+        });
+        html += '</tr></thead><tbody>';
+        
+        scales.forEach((scale, scaleIndex) => {
+            const name = this.escapeHtml(scale.name);
+            html += `<tr><th class="palette-check-name" title="${name}">${name}</th>`;
+            steps.forEach(step => {
+                const color = scale.colors[step.index];
+                const value = step.values[scaleIndex];
+                html += `<td style="background-color: ${color}; color: ${this.getBestTextColor(color)}" title="${name} ${step.step}: ${color}, ${unit} ${value.toFixed(2)}">${value.toFixed(1)}</td>`;
+            });
+            html += '</tr>';
+        });
+        
+        html += `<tr class="palette-check-spread"><th title="Largest ${unit} difference between scales at this step - the residual left after aligning">Spread</th>`;
+        steps.forEach(step => {
+            html += `<td class="${step.pass ? 'pass' : 'fail'}" title="Step ${step.step}: ${unit} differs by ${step.spread.toFixed(2)} (tolerance ${tolerance})">${step.spread.toFixed(1)}</td>`;
+        });
+        html += '</tr></tbody>';
+        table.innerHTML = html;
+        
+        const failing = steps.filter(step => !step.pass);
+        let text = failing.length === 0
+            ? `Every step matches within ${tolerance} ${unit} across ${scales.length} scales.`
+            : `${failing.length} of ${steps.length} steps differ by more than ${tolerance} ${unit}: ${failing.map(step => step.step).join(', ')}.`;
+        if (skipped.length > 0) {
+            text += ` Skipped ${skipped.map(scale => `${scale.name} (${scale.colors.length} colors)`).join(', ')}: band count differs from ${this.colors.length}.`;
+        }
+        
+        // Explain what kept steps apart, as long as the palette is unchanged since aligning
+        const alignment = this.paletteAlignment;
+        if (alignment && alignment.metric === metric &&
+            alignment.key === JSON.stringify(scales.map(scale => scale.colors))) {
+            const worst = alignment.residuals.reduce((best, value, index) => value > alignment.residuals[best] ? index : best, 0);
+            text += alignment.residuals[worst] > tolerance
+                ? ` After aligning, step ${steps[worst].step} is still ${alignment.residuals[worst].toFixed(1)} ${unit} apart - locked colors and the gamut limit how far bands can move.`
+                : ` Aligned: every residual is within ${tolerance} ${unit}.`;
+        }
+        
+        summary.textContent = text;
+        summary.className = `palette-check-summary ${failing.length === 0 ? 'pass' : 'fail'}`;
+    }
+    
+    // Keep the alignment reference dropdown listing the current scales
+    updatePaletteReferenceOptions() {
+        const select = document.getElementById('paletteAlignReference');
+        if (!select) return;
+        
+        const current = select.value;
+        select.innerHTML = '<option value="-1">Average of scales</option>';
+        const { scales } = this.getComparableScales();
+        this.palette.scales.forEach((scale, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = scale.name;
+            option.disabled = !scales.includes(scale);
+            select.appendChild(option);
+        });
+        
+        const stillValid = Array.from(select.options).some(option => option.value === current && !option.disabled);
+        select.value = stillValid ? current : '-1';
+    }
+    
+    // Solve unlocked bands of every scale with the active band count so same-index steps
+    // share an L* or an APCA Lc against white
+    alignPalette() {
+        const metric = document.getElementById('paletteMetric').value;
+        const reference = parseInt(document.getElementById('paletteAlignReference').value, 10);
+        
+        this.captureActiveScale();
+        const members = this.getComparableScales().scales
+            .map(scale => ({ scale, index: this.palette.scales.indexOf(scale) }));
+        
+        if (members.length < 2) {
+            this.showCopyFeedback('alignPaletteBtn', 'Needs 2 scales');
+            return;
+        }
+        
+        // Display-P3 scales are solved on their P3 values so wide-gamut colors stay outside sRGB
+        const result = SmoothingAlgorithms.alignLightness(
+            members.map(({ scale }) => ({
+                colors: scale.p3Colors || scale.colors,
+                lockedIndices: scale.lockedColors,
+                gamut: scale.p3Colors ? 'display-p3' : 'srgb'
+            })),
+            {
+                metric,
+                reference: members.findIndex(({ index }) => index === reference),
+                gamutMapping: document.getElementById('gamutMapping').value
+            }
+        );
+        
+        members.forEach(({ scale }, memberIndex) => {
+            if (scale.p3Colors) {
+                scale.p3Colors = result.scales[memberIndex];
+                scale.colors = scale.p3Colors.map(p3 => ColorUtils.p3ToHex(p3, scale.settings.gamutMapping));
+            } else {
+                scale.colors = result.scales[memberIndex];
+            }
+        });
+        
+        this.paletteAlignment = {
+            metric,
+            residuals: result.residuals,
+            key: JSON.stringify(members.map(({ scale }) => scale.colors))
+        };
+        
+        this.loadScale(this.palette.activeIndex);
+        const activeMember = members.findIndex(({ index }) => index === this.palette.activeIndex);
+        this.outOfGamut = result.outOfGamut[activeMember];
+        
+        this.renderActiveScale();
+        this.savePaletteToStorage();
+        this.saveToHistory(`Aligned ${members.length} scales to ${metric === 'apca' ? 'APCA contrast' : 'L*'}`, false);
+    }
+    
+    // Light scale and its dark variant for the active scale, or null when it has none
+    getVariantPair() {
+        return this.getScaleVariantPair(this.getActiveScale());
+    }
+    
+    getScaleVariantPair(scale) {
+        if (scale.variant) {
+            const light = this.palette.scales.find(other => other.id === scale.variant.of);
+            return light ? { light, dark: scale } : null;
+        }
+        
+        const dark = this.palette.scales.find(other => other.variant && other.variant.of === scale.id);
+        return dark ? { light: scale, dark } : null;
+    }
+    
+    // Add (or refresh) a dark-mode scale derived from the active light scale
+    deriveDarkVariant() {
+        const background = this.validateHex(document.getElementById('darkBackground').value.trim());
+        if (!background) {
+            this.showCopyFeedback('deriveDarkBtn', 'Invalid background');
+            return;
+        }
+        document.getElementById('darkBackground').value = background;
+        
+        this.captureActiveScale();
+        const active = this.getActiveScale();
+        const light = active.variant
+            ? this.palette.scales.find(scale => scale.id === active.variant.of)
+            : active;
+        if (!light) {
+            this.showCopyFeedback('deriveDarkBtn', 'Light scale missing');
+            return;
+        }
+        
+        const gamutOptions = {
+            gamutMapping: light.settings.gamutMapping,
+            outOfGamut: new Set()
+        };
+        // Display P3 scales are derived on their P3 channels so the variant stays wide-gamut
+        const result = SmoothingAlgorithms.darkVariant(light.p3Colors || light.colors, light.lockedColors, {
+            ...gamutOptions,
+            gamut: light.p3Colors ? 'display-p3' : 'srgb',
+            background,
+            chromaCompensation: Math.max(0, Math.min(1, parseFloat(document.getElementById('darkChromaCompensation').value) || 0))
+        });
+        const p3Colors = light.p3Colors ? result : null;
+        const colors = p3Colors ? p3Colors.map(p3 => ColorUtils.p3ToHex(p3, light.settings.gamutMapping)) : result;
+        
+        const dark = this.setDarkVariant(light, colors, background, p3Colors);
+        
+        // Refresh the editor when the dark scale is the one being edited
+        if (dark === active) {
+            this.loadScale(this.palette.activeIndex);
+            this.outOfGamut = gamutOptions.outOfGamut;
+        }
+        
+        this.renderActiveScale();
+        this.savePaletteToStorage();
+        this.saveToHistory(`Derived dark variant of ${light.name}`, false);
+    }
+    
+    // Store colors (and their Display P3 channels, if any) as the dark variant of a light scale,
+    // creating the variant scale when needed
+    setDarkVariant(light, colors, background, p3Colors = null) {
+        let dark = this.palette.scales.find(scale => scale.variant && scale.variant.of === light.id);
+        if (!dark) {
+            dark = this.createScale(`${light.name} dark`);
+            dark.settings = JSON.parse(JSON.stringify(light.settings));
+        }
+        Object.assign(dark, {
+            colors,
+            originalColors: [...colors],
+            lockedColors: [...light.lockedColors],
+            bandCount: colors.length,
+            p3Colors,
+            stopNames: light.stopNames ? [...light.stopNames] : null,
+            stopPositions: light.stopPositions ? [...light.stopPositions] : null,
+            variant: { of: light.id, background }
+        });
+        dark.settings.stopSpacing = light.settings.stopSpacing;
+        return dark;
+    }
+    
+    // Light and dark variants side by side, each audited against its own background
+    updateVariantPreview() {
+        const container = document.getElementById('variantPreviewContainer');
+        if (!container) return;
+        
+        const pair = this.getVariantPair();
+        if (!pair) {
+            container.style.display = 'none';
+            return;
+        }
+        container.style.display = 'block';
+        
+        const isAPCA = document.getElementById('contrastMode').value === 'apca';
+        const tier = document.getElementById('apcaTier').value;
+        const threshold = this.getAPCAThreshold(tier);
+        
+        [
+            { scale: pair.light, background: '#ffffff', panelId: 'variantLightPanel' },
+            { scale: pair.dark, background: pair.dark.variant.background, panelId: 'variantDarkPanel' }
+        ].forEach(({ scale, background, panelId }) => {
+            const panel = document.getElementById(panelId);
+            panel.style.backgroundColor = background;
+            panel.style.color = this.getBestTextColor(background);
+            panel.querySelector('.variant-panel-title').textContent = `${scale.name} on ${background}`;
+            
+            const ramp = panel.querySelector('.variant-ramp');
+            ramp.innerHTML = '';
+            const stepNames = this.getStopNames(scale.colors, scale.stopNames);
+            
+            scale.colors.forEach((color, index) => {
+                const lc = ColorUtils.getAPCAContrast(color, background);
+                const ratio = this.getContrastRatio(color, background);
+                const level = isAPCA
+                    ? (Math.abs(lc) >= threshold ? `Lc ${Math.round(Math.abs(lc))}` : 'Fail')
+                    : this.getContrastLevel(ratio);
+                const passes = level !== 'Fail';
+                
+                const swatch = document.createElement('div');
+                swatch.className = `variant-swatch${passes ? '' : ' fail'}`;
+                swatch.style.backgroundColor = color;
+                swatch.style.color = this.getBestTextColor(color);
+                swatch.title = isAPCA
+                    ? `${stepNames[index]}: ${color} as text on ${background}, APCA Lc ${lc.toFixed(1)} (needs ${threshold} for ${tier} text)`
+                    : `${stepNames[index]}: ${color} on ${background}, ${ratio.toFixed(2)}:1 (${level})`;
+                
+                const step = document.createElement('span');
+                step.className = 'variant-swatch-step';
+                step.textContent = stepNames[index];
+                swatch.appendChild(step);
+                
+                const badge = document.createElement('span');
+                badge.className = 'variant-swatch-level';
+                badge.textContent = isAPCA ? level : `${ratio.toFixed(1)} ${level === 'Fail' ? '' : level}`.trim();
+                swatch.appendChild(badge);
+                
+                ramp.appendChild(swatch);
+            });
+        });
+    }
+    
+    // Palettes with more than one scale persist between visits; a single scale follows the URL as before
+    loadPaletteFromStorage() {
+        this.palette = { scales: [], activeIndex: 0, nextId: 1 };
+        
+        try {
+            const saved = JSON.parse(localStorage.getItem('colorBandPalette'));
+            if (saved && Array.isArray(saved.scales) && saved.scales.length > 1) {
+                this.palette = {
+                    scales: saved.scales,
+                    activeIndex: Math.min(Math.max(saved.activeIndex || 0, 0), saved.scales.length - 1),
+                    nextId: saved.nextId || saved.scales.length + 1
+                };
+                this.loadScale(this.palette.activeIndex);
+                return;
+            }
+        } catch (error) {
+            console.warn('Failed to load palette from localStorage:', error);
+        }
+        
+        this.createScale('Scale 1');
+    }
+    
+    savePaletteToStorage() {
+        try {
+            if (this.palette.scales.length > 1) {
+                this.captureActiveScale();
+                localStorage.setItem('colorBandPalette', JSON.stringify(this.palette));
+            } else {
+                localStorage.removeItem('colorBandPalette');
+            }
+        } catch (error) {
+            console.warn('Failed to save palette to localStorage:', error);
+        }
+    }
+    
+    // Replace the palette with scales from an exported palette file
+    importPalette(scales) {
+        const valid = scales.filter(scale => Array.isArray(scale.colors) &&
+            scale.colors.length >= 3 && scale.colors.every(color => this.validateHex(color)));
+        if (valid.length === 0) return 0;
+        
+        // Keep counting ids so history entries never point at an imported scale by accident
+        const settings = this.getScaleSettings();
+        this.palette = { scales: [], activeIndex: 0, nextId: this.palette.nextId };
+        
+        valid.forEach((source, index) => {
+            const colors = source.colors.map(color => this.validateHex(color));
+            const scale = this.createScale(source.name || `Scale ${index + 1}`);
+            const p3Colors = Array.isArray(source.displayP3Colors)
+                ? source.displayP3Colors.map(value => ColorUtils.parseDisplayP3(value))
+                : null;
+            
+            Object.assign(scale, {
+                colors,
+                originalColors: Array.isArray(source.originalColors) && source.originalColors.length === colors.length
+                    ? source.originalColors.map(color => this.validateHex(color) || '#000000')
+                    : [...colors],
+                lockedColors: (source.lockedIndices || []).filter(i => Number.isInteger(i) && i >= 0 && i < colors.length),
+                bandCount: colors.length,
+                p3Colors: p3Colors && p3Colors.length === colors.length && p3Colors.every(Boolean) ? p3Colors : null,
+                stopNames: this.parseStopNames(source.stopNames, colors.length),
+                stopPositions: this.normalizeStopPositions(source.stopPositions, colors.length) ? [...source.stopPositions] : null,
+                settings: {
+                    ...settings,
+                    lightnessTarget: { ...settings.lightnessTarget, values: null },
+                    stopSpacing: ['names', 'custom'].includes(source.stopSpacing) ? source.stopSpacing : 'even',
+                    algorithm: source.algorithm || settings.algorithm,
+                    strength: typeof source.strength === 'number' ? source.strength : settings.strength
+                }
+            });
+        });
+        
+        // Dark variants point at their light scale by name in files
+        valid.forEach((source, index) => {
+            const light = source.variant && this.palette.scales.find(scale => scale.name === source.variant.of);
+            if (light && this.validateHex(source.variant.background || '')) {
+                this.palette.scales[index].variant = { of: light.id, background: this.validateHex(source.variant.background) };
+            }
+        });
+        
+        this.loadScale(0);
+        this.renderActiveScale();
+        this.savePaletteToStorage();
+        this.saveToHistory(`Imported palette of ${valid.length} scales`, false);
+        return valid.length;
+    }
+    
+    validateHex(value) {
+        // Remove # if present and validate
+        let hex = value.replace('#', '');
+        
+        if (!/^[0-9A-Fa-f]{6}$/.test(hex)) {
+            return null;
+        }
+        
+        return '#' + hex.toLowerCase();
+    }
+    
+    // Escape user-provided text (scale names, imported labels) before it goes into innerHTML
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    }
+
+    incrementHexColor(hex, increment) {
+        // Convert hex to RGB
+        const r = parseInt(hex.slice(1, 3), 16);
+        const g = parseInt(hex.slice(3, 5), 16);
+        const b = parseInt(hex.slice(5, 7), 16);
+        
+        // Increment each channel by the specified amount
+        const newR = Math.max(0, Math.min(255, r + increment));
+        const newG = Math.max(0, Math.min(255, g + increment));
+        const newB = Math.max(0, Math.min(255, b + increment));
+        
+        // Convert back to hex
+        const rHex = newR.toString(16).padStart(2, '0');
+        const gHex = newG.toString(16).padStart(2, '0');
+        const bHex = newB.toString(16).padStart(2, '0');
+        
+        return `#${rHex}${gHex}${bHex}`;
+    }
+
+    toggleLock(index) {
+        const wasLocked = this.lockedColors.has(index);
+        if (wasLocked) {
+            this.lockedColors.delete(index);
+        } else {
+            this.lockedColors.add(index);
+        }
+        this.renderEditor();
+        this.drawColorSpaceGraph();
+        this.drawHueSpaceGraph();
+        this.drawSaturationSpaceGraph();
+        this.drawRedChannelGraph();
+        this.drawGreenChannelGraph();
+        this.drawBlueChannelGraph();
+        this.drawPerceptualGraphs();
+        this.updateURL(); // Update URL when lock state changes
+        
+        const action = wasLocked ? 'Unlocked' : 'Locked';
+        this.saveToHistory(`${action} color ${index + 1}`, false); // Don't skip similar for lock changes
+    }
+    
+    // Scale captured when the current graph drag started, if it is on the given channel's graph
+    getGraphDragScale(channel) {
+        return this.graphDrag && this.graphDrag.channel === channel ? this.graphDrag.scale : null;
+    }
+    
+    // Drag a lightness, hue or saturation graph point vertically to edit that HSL channel,
+    // keeping the band's other channels fixed and saving one history entry on release
+    startGraphPointDrag(event, index, channel, scale) {
+        if (event.button !== undefined && event.button !== 0) return;
+        
+        // While a color vision simulation is on the graphs plot simulated colors, which a drag
+        // can't edit - only click-to-lock stays active
+        if (this.getVisionSimulation() !== 'none') {
+            this.graphDragMoved = false;
+            return;
+        }
+        
+        const svg = event.target.ownerSVGElement;
+        const startHsl = ColorUtils.hexToHsl(this.colors[index]);
+        const startY = event.clientY;
+        this.graphDrag = { channel, scale, index, moved: false };
+        this.graphDragMoved = false;
+        
+        const onMove = (e) => {
+            // Ignore jitter so a plain click still toggles the lock
+            if (!this.graphDrag.moved && Math.abs(e.clientY - startY) < 3) return;
+            this.graphDrag.moved = true;
+            
+            const point = svg.createSVGPoint();
+            point.x = e.clientX;
+            point.y = e.clientY;
+            const local = point.matrixTransform(svg.getScreenCTM().inverse());
+            
+            const normalized = (scale.top + scale.graphHeight - local.y) / scale.graphHeight;
+            const value = Math.round(scale.min + normalized * (scale.max - scale.min));
+            
+            const hsl = { ...startHsl };
+            if (channel === 'h') {
+                hsl.h = ((value % 360) + 360) % 360;
+            } else {
+                hsl[channel] = Math.max(0, Math.min(100, value));
+            }
+            
+            const hex = ColorUtils.hslToHex(hsl.h, hsl.s, hsl.l);
+            if (hex === this.colors[index]) return;
+            
+            // Auto-lock the color when edited, like the hex input does
+            this.lockedColors.add(index);
+            this.colors[index] = hex;
+            this.outOfGamut.delete(index);
+            this.updatePreview();
+            this.drawColorSpaceGraph();
+            this.drawHueSpaceGraph();
+            this.drawSaturationSpaceGraph();
+            this.drawRedChannelGraph();
+            this.drawGreenChannelGraph();
+            this.drawBlueChannelGraph();
+            this.drawPerceptualGraphs();
+        };
+        
+        const onUp = () => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onUp);
+            document.removeEventListener('pointercancel', onUp);
+            
+            const moved = this.graphDrag.moved;
+            this.graphDrag = null;
+            this.graphDragMoved = moved;
+            if (!moved) return;
+            
+            const channelNames = { l: 'lightness', h: 'hue', s: 'saturation' };
+            this.renderEditor();
+            this.drawColorSpaceGraph();
+            this.drawHueSpaceGraph();
+            this.drawSaturationSpaceGraph();
+            this.updateURL();
+            this.saveToHistory(`Dragged color ${index + 1} ${channelNames[channel]}`, false);
+        };
+        
+        event.preventDefault();
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onUp);
+        document.addEventListener('pointercancel', onUp);
+    }
+    
+    updateColor(index, hex) {
+        this.colors[index] = hex;
+        this.outOfGamut.delete(index);
+        this.updatePreview();
+        this.drawColorSpaceGraph();
+        this.drawHueSpaceGraph();
+        this.drawSaturationSpaceGraph();
+        this.drawRedChannelGraph();
+        this.drawGreenChannelGraph();
+        this.drawBlueChannelGraph();
+        this.drawPerceptualGraphs();
+        this.updateURL(); // Update URL when color changes
+        this.saveToHistory(`Updated color ${index + 1}`);
+    }
+    
+    updateAlgorithmDescription(algorithm) {
+        const descriptionElement = document.getElementById('algorithmDescription');
+        descriptionElement.textContent = this.algorithmDescriptions[algorithm];
+        
+        const isSpline = ['catmullrom', 'monotone'].includes(algorithm);
+        document.getElementById('splineSpaceControl').style.display = isSpline ? 'flex' : 'none';
+        document.getElementById('spacingCurveControl').style.display = algorithm === 'deltae' ? 'flex' : 'none';
+        document.getElementById('lightnessTargetContainer').style.display = algorithm === 'lightness' ? 'block' : 'none';
+        this.drawLightnessTargetGraph();
+        
+        if (this.p3Colors) {
+            descriptionElement.textContent += ['hsl', 'rgb', 'bezier'].includes(algorithm)
+                ? ' In Display P3 this works on the P3 red, green and blue channels.'
+                : ' In Display P3 results are mapped into P3.';
+        }
+    }
+    
+    // Contrast calculation utilities
+    hexToRgb(hex) {
         const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
         return result ? {
             r: parseInt(result[1], 16),
@@ -626,10 +2089,33 @@ class ColorBandEditor {
         }
     }
     
-    createContrastIndicator(backgroundColor) {
-        // Only create indicator if contrast ratio audit is enabled
-        const contrastToggle = document.getElementById('contrastRatio');
-        if (!contrastToggle || !contrastToggle.checked) return null;
+    // Minimum absolute APCA Lc per text tier
+    getAPCAThreshold(tier) {
+        const thresholds = { body: 75, large: 60, ui: 45 };
+        return thresholds[tier] || thresholds.body;
+    }
+    
+    // Text colors (black/white) that pass the selected contrast method on a background
+    getContrastMarkers(backgroundColor) {
+        const mode = document.getElementById('contrastMode').value;
+        
+        if (mode === 'apca') {
+            const tier = document.getElementById('apcaTier').value;
+            const threshold = this.getAPCAThreshold(tier);
+            
+            return ['#000000', '#ffffff']
+                .map(textColor => {
+                    const lc = ColorUtils.getAPCAContrast(textColor, backgroundColor);
+                    const polarity = lc >= 0 ? 'dark text on light' : 'light text on dark';
+                    return {
+                        color: textColor,
+                        lc,
+                        text: `Lc${Math.round(Math.abs(lc))}`,
+                        title: `APCA Lc ${lc.toFixed(1)} (${polarity}), needs ${threshold} for ${tier} text`
+                    };
+                })
+                .filter(marker => Math.abs(marker.lc) >= threshold);
+        }
         
         const blackContrast = this.getContrastRatio(backgroundColor, '#000000');
         const whiteContrast = this.getContrastRatio(backgroundColor, '#ffffff');
@@ -637,21 +2123,38 @@ class ColorBandEditor {
         const blackAA = blackContrast >= 4.5;
         const whiteAA = whiteContrast >= 4.5;
         
-        // Only show if at least one passes AA
-        if (!blackAA && !whiteAA) return null;
-        
-        const indicator = document.createElement('div');
-        indicator.className = 'contrast-indicator';
-        
         if (blackAA && whiteAA) {
             // Both pass - show both
-            indicator.innerHTML = '<span style="color: #000">Aa</span> <span style="color: #fff">Aa</span>';
-        } else {
+            return [
+                { color: '#000000', text: 'Aa', title: `${blackContrast.toFixed(2)}:1` },
+                { color: '#ffffff', text: 'Aa', title: `${whiteContrast.toFixed(2)}:1` }
+            ];
+        } else if (blackAA || whiteAA) {
             // Only one passes - use the helper function to get the best color
             const bestColor = this.getBestTextColor(backgroundColor);
-            indicator.innerHTML = `<span style="color: ${bestColor}">Aa</span>`;
+            const ratio = bestColor === '#000000' ? blackContrast : whiteContrast;
+            return [{ color: bestColor, text: 'Aa', title: `${ratio.toFixed(2)}:1` }];
         }
         
+        return [];
+    }
+    
+    createContrastIndicator(backgroundColor) {
+        // Only create indicator if contrast ratio audit is enabled
+        const contrastToggle = document.getElementById('contrastRatio');
+        if (!contrastToggle || !contrastToggle.checked) return null;
+        
+        const markers = this.getContrastMarkers(backgroundColor);
+        
+        // Only show if at least one text color passes
+        if (markers.length === 0) return null;
+        
+        const indicator = document.createElement('div');
+        indicator.className = 'contrast-indicator';
+        indicator.innerHTML = markers
+            .map(marker => `<span style="color: ${marker.color}" title="${marker.title}">${marker.text}</span>`)
+            .join(' ');
+        
         return indicator;
     }
 
@@ -659,11 +2162,19 @@ class ColorBandEditor {
         const previewContainer = document.getElementById('colorBandPreview');
         previewContainer.innerHTML = '';
         
-        this.colors.forEach((color, index) => {
+        this.syncP3Colors();
+        
+        const displayColors = this.getDisplayColors();
+        const isSimulated = this.getVisionSimulation() !== 'none';
+        const showP3 = this.p3Colors && !isSimulated && this.supportsDisplayP3();
+        const stopNames = this.getStopNames();
+        
+        displayColors.forEach((color, index) => {
             const swatch = document.createElement('div');
             swatch.className = 'color-preview-swatch';
-            swatch.style.backgroundColor = color;
-            swatch.title = `${index}: ${color}${this.lockedColors.has(index) ? ' (locked)' : ''}`;
+            swatch.style.backgroundColor = showP3 ? ColorUtils.formatDisplayP3(this.p3Colors[index]) : color;
+            const p3Label = this.p3Colors ? ` / ${ColorUtils.formatDisplayP3(this.p3Colors[index])}` : '';
+            swatch.title = `${stopNames[index]}: ${this.colors[index]}${p3Label}${isSimulated ? ` (simulated ${color})` : ''}${this.lockedColors.has(index) ? ' (locked)' : ''}`;
             
             // Add contrast accessibility indicators (controlled by audit toggle)
             const contrastIndicator = this.createContrastIndicator(color);
@@ -671,6 +2182,15 @@ class ColorBandEditor {
                 swatch.appendChild(contrastIndicator);
             }
             
+            // Flag colors whose smoothed value fell outside the working gamut
+            if (this.outOfGamut.has(index)) {
+                const gamutMarker = document.createElement('div');
+                gamutMarker.className = 'gamut-marker';
+                gamutMarker.textContent = '!';
+                gamutMarker.title = `Out of ${this.p3Colors ? 'Display P3' : 'sRGB'} gamut before mapping`;
+                swatch.appendChild(gamutMarker);
+            }
+            
             // Add lock overlay if locked
             if (this.lockedColors.has(index)) {
                 const lockOverlay = document.createElement('div');
@@ -696,6 +2216,165 @@ class ColorBandEditor {
         if (document.getElementById('lightnessComparison').checked) {
             this.updateLightnessAnalysis();
         }
+        if (document.getElementById('contrastMatrixToggle').checked) {
+            this.updateContrastMatrix();
+        }
+        this.updateColorVisionReport();
+        this.updateDataVizReport();
+        this.updateVariantPreview();
+    }
+    
+    getVisionSimulation() {
+        const simulationSelect = document.getElementById('visionSimulation');
+        return simulationSelect ? simulationSelect.value : 'none';
+    }
+    
+    // Colors as they should be displayed, with any color vision simulation applied
+    getDisplayColors() {
+        const simulation = this.getVisionSimulation();
+        if (simulation === 'none') return [...this.colors];
+        return this.colors.map(color => ColorUtils.simulateColorVision(color, simulation));
+    }
+    
+    updateColorVisionReport() {
+        const report = document.getElementById('cvdReport');
+        const simulation = this.getVisionSimulation();
+        
+        if (simulation === 'none' || this.colors.length < 2) {
+            report.style.display = 'none';
+            return;
+        }
+        
+        const formula = this.getDeltaEFormula();
+        // Steps below the "Very slight" band are treated as collapsed
+        const collapseThreshold = ColorUtils.getDeltaEThresholds(formula)[1].max;
+        const deficiencies = {
+            protanopia: 'Protanopia',
+            deuteranopia: 'Deuteranopia',
+            tritanopia: 'Tritanopia',
+            achromatopsia: 'Achromatopsia'
+        };
+        
+        let html = `<div class="cvd-report-title">Adjacent ΔE (${this.getDeltaEFormulaName(formula)})</div>`;
+        html += '<table class="cvd-report-table"><tbody>';
+        
+        Object.entries(deficiencies).forEach(([type, name]) => {
+            const simulated = this.colors.map(color => ColorUtils.simulateColorVision(color, type));
+            const deltas = [];
+            for (let i = 0; i < simulated.length - 1; i++) {
+                deltas.push(ColorUtils.calculateDeltaE(simulated[i], simulated[i + 1], formula));
+            }
+            
+            const minDelta = Math.min(...deltas);
+            const collapsed = deltas
+                .map((deltaE, i) => ({ deltaE, i }))
+                .filter(step => step.deltaE < collapseThreshold);
+            const warning = collapsed.length > 0
+                ? `Steps ${collapsed.map(step => `${step.i}→${step.i + 1}`).join(', ')} collapse`
+                : 'All steps distinguishable';
+            
+            html += `<tr class="${type === simulation ? 'active' : ''} ${collapsed.length > 0 ? 'warning' : ''}" title="${warning}">
+                <td>${name}</td>
+                <td>min Δ${minDelta.toFixed(1)}</td>
+                <td>${collapsed.length > 0 ? `⚠ ${collapsed.length}` : '✓'}</td>
+            </tr>`;
+        });
+        
+        html += '</tbody></table>';
+        report.innerHTML = html;
+        report.style.display = 'block';
+    }
+    
+    // Data viz checks on the displayed colors. Sequential scales need L* to move one way from end to end;
+    // diverging scales need it to move one way on each side of the midpoint (the center band, or between
+    // the two center bands), and mirrored steps on either side should have the same Delta E
+    getDataVizCheck(kind) {
+        const colors = this.getDisplayColors();
+        const formula = this.getDeltaEFormula();
+        const tolerance = ColorUtils.getDeltaEThresholds(formula)[1].max;
+        const lightness = colors.map(color => ColorUtils.hexToLab(color).l);
+        const last = colors.length - 1;
+        
+        const sides = kind === 'diverging'
+            ? [{ name: 'Low side', from: 0, to: Math.floor(last / 2) }, { name: 'High side', from: Math.ceil(last / 2), to: last }]
+            : [{ name: 'Lightness', from: 0, to: last }];
+        
+        sides.forEach(side => {
+            side.direction = Math.sign(lightness[side.to] - lightness[side.from]);
+            side.reversals = [];
+            for (let i = side.from; i < side.to; i++) {
+                if ((lightness[i + 1] - lightness[i]) * side.direction <= 0) {
+                    side.reversals.push(i);
+                }
+            }
+        });
+        
+        const check = { kind, formula, tolerance, lightness, sides, asymmetric: [], maxAsymmetry: 0 };
+        if (kind !== 'diverging') return check;
+        
+        // Both sides should climb toward (or fall toward) the midpoint
+        check.midpointIsExtreme = sides[0].direction !== 0 && sides[0].direction === -sides[1].direction;
+        
+        // Step i -> i+1 mirrors step last-i-1 -> last-i
+        for (let i = 0; i < last - i - 1; i++) {
+            const mirror = last - i - 1;
+            const difference = Math.abs(
+                ColorUtils.calculateDeltaE(colors[i], colors[i + 1], formula) -
+                ColorUtils.calculateDeltaE(colors[mirror], colors[mirror + 1], formula)
+            );
+            check.maxAsymmetry = Math.max(check.maxAsymmetry, difference);
+            if (difference > tolerance) {
+                check.asymmetric.push({ step: i, mirror, difference });
+            }
+        }
+        
+        return check;
+    }
+    
+    updateDataVizReport() {
+        const report = document.getElementById('dataVizReport');
+        const kind = document.getElementById('dataVizCheck').value;
+        
+        if (kind === 'none' || this.colors.length < 3) {
+            report.style.display = 'none';
+            return;
+        }
+        
+        const check = this.getDataVizCheck(kind);
+        let html = `<div class="cvd-report-title">${kind === 'diverging' ? 'Diverging' : 'Sequential'} check (${this.getDeltaEFormulaName(check.formula)})</div>`;
+        html += '<table class="cvd-report-table"><tbody>';
+        
+        check.sides.forEach(side => {
+            const warning = side.reversals.length > 0
+                ? `L* turns back at steps ${side.reversals.map(i => `${i}→${i + 1}`).join(', ')}`
+                : 'L* changes in one direction';
+            html += `<tr class="${side.reversals.length > 0 ? 'warning' : ''}" title="${warning}">
+                <td>${side.name}</td>
+                <td>L* ${check.lightness[side.from].toFixed(0)}→${check.lightness[side.to].toFixed(0)}</td>
+                <td>${side.reversals.length > 0 ? `⚠ ${side.reversals.length}` : '✓'}</td>
+            </tr>`;
+        });
+        
+        if (kind === 'diverging') {
+            html += `<tr class="${check.midpointIsExtreme ? '' : 'warning'}" title="The midpoint should be the lightest or darkest part of the scale">
+                <td>Midpoint</td>
+                <td>${check.midpointIsExtreme ? 'L* peak' : 'not a peak'}</td>
+                <td>${check.midpointIsExtreme ? '✓' : '⚠'}</td>
+            </tr>`;
+            
+            const warning = check.asymmetric.length > 0
+                ? check.asymmetric.map(({ step, mirror, difference }) => `${step}→${step + 1} vs ${mirror}→${mirror + 1}: Δ${difference.toFixed(1)}`).join(', ')
+                : 'Mirrored steps match';
+            html += `<tr class="${check.asymmetric.length > 0 ? 'warning' : ''}" title="${warning}">
+                <td>Symmetry</td>
+                <td>max Δ${check.maxAsymmetry.toFixed(1)}</td>
+                <td>${check.asymmetric.length > 0 ? `⚠ ${check.asymmetric.length}` : '✓'}</td>
+            </tr>`;
+        }
+        
+        html += '</tbody></table>';
+        report.innerHTML = html;
+        report.style.display = 'block';
     }
     
     applySmoothing() {
@@ -703,27 +2382,73 @@ class ColorBandEditor {
         const strength = parseFloat(document.getElementById('smoothingStrength').value);
         
         const lockedIndices = Array.from(this.lockedColors);
+        const positions = this.getStopPositions();
+        const gamutOptions = {
+            gamutMapping: document.getElementById('gamutMapping').value,
+            outOfGamut: new Set()
+        };
+        
+        // Display P3 runs on P3 channels and maps results into P3; hex colors become sRGB fallbacks
+        const isP3 = !!this.p3Colors;
+        const colors = isP3 ? this.p3Colors : this.colors;
+        const options = { ...gamutOptions, positions, gamut: isP3 ? 'display-p3' : 'srgb' };
         let smoothedColors;
         
         switch (algorithm) {
             case 'hsl':
-                smoothedColors = SmoothingAlgorithms.hslInterpolate(this.colors, lockedIndices);
+                smoothedColors = SmoothingAlgorithms.hslInterpolate(colors, lockedIndices, options);
                 break;
             case 'lab':
-                smoothedColors = SmoothingAlgorithms.labInterpolate(this.colors, lockedIndices);
+                smoothedColors = SmoothingAlgorithms.labInterpolate(colors, lockedIndices, options);
+                break;
+            case 'oklab':
+            case 'oklch':
+                smoothedColors = isP3
+                    ? SmoothingAlgorithms.p3Interpolate(colors, lockedIndices, { ...options, space: algorithm })
+                    : algorithm === 'oklab'
+                        ? SmoothingAlgorithms.oklabInterpolate(colors, lockedIndices, options)
+                        : SmoothingAlgorithms.oklchInterpolate(colors, lockedIndices, options);
                 break;
             case 'rgb':
-                smoothedColors = SmoothingAlgorithms.rgbLinearInterpolate(this.colors, lockedIndices);
+                smoothedColors = SmoothingAlgorithms.rgbLinearInterpolate(colors, lockedIndices, options);
                 break;
             case 'bezier':
-                smoothedColors = SmoothingAlgorithms.bezierInterpolate(this.colors, lockedIndices);
+                smoothedColors = SmoothingAlgorithms.bezierInterpolate(colors, lockedIndices, options);
+                break;
+            case 'catmullrom':
+            case 'monotone':
+                smoothedColors = SmoothingAlgorithms.splineInterpolate(colors, lockedIndices, {
+                    ...options,
+                    method: algorithm,
+                    space: document.getElementById('splineSpace').value
+                });
+                break;
+            case 'lightness':
+                smoothedColors = SmoothingAlgorithms.lightnessTargetInterpolate(colors, lockedIndices, {
+                    ...options,
+                    targets: this.getLightnessTargets()
+                });
+                break;
+            case 'deltae':
+                smoothedColors = SmoothingAlgorithms.deltaEEqualize(colors, lockedIndices, {
+                    ...options,
+                    formula: this.getDeltaEFormula(),
+                    curve: document.getElementById('spacingCurve').value
+                });
                 break;
             default:
-                smoothedColors = [...this.colors];
+                smoothedColors = [...colors];
         }
         
         // Apply smoothing strength
-        this.colors = SmoothingAlgorithms.applyWithStrength(this.colors, smoothedColors, strength);
+        if (isP3) {
+            this.p3Colors = SmoothingAlgorithms.applyWithStrengthP3(this.p3Colors, smoothedColors, strength);
+            this.colors = this.p3Colors.map(p3 => this.getP3Fallback(p3));
+        } else {
+            this.colors = SmoothingAlgorithms.applyWithStrength(this.colors, smoothedColors, strength);
+        }
+        
+        this.outOfGamut = gamutOptions.outOfGamut;
         
         this.renderEditor();
         this.updatePreview();
@@ -733,6 +2458,7 @@ class ColorBandEditor {
         this.drawRedChannelGraph();
         this.drawGreenChannelGraph();
         this.drawBlueChannelGraph();
+        this.drawPerceptualGraphs();
         this.updateURL(); // Update URL when smoothing is applied
         
         const algorithmName = document.getElementById('smoothingAlgorithm').value;
@@ -740,6 +2466,7 @@ class ColorBandEditor {
     }
     
     drawColorSpaceGraph() {
+        const positions = this.getStopPositions();
         const svg = document.querySelector('.graph-svg');
         const gridGroup = svg.querySelector('.graph-grid');
         const lineGroup = svg.querySelector('.graph-line');
@@ -759,15 +2486,22 @@ class ColorBandEditor {
         const graphHeight = height - margin.top - margin.bottom;
         
         // Convert colors to lightness values
-        const lightnessValues = this.colors.map(color => {
+        const lightnessValues = this.getDisplayColors().map(color => {
             const hsl = ColorUtils.hexToHsl(color);
             return hsl ? hsl.l : 0;
         });
         
         // Find min/max for scaling
-        const minLightness = Math.min(...lightnessValues);
+        let minLightness = Math.min(...lightnessValues);
         const maxLightness = Math.max(...lightnessValues);
-        const range = maxLightness - minLightness || 1;
+        let range = maxLightness - minLightness || 1;
+        
+        // Keep the scale fixed while a point is being dragged
+        const dragScale = this.getGraphDragScale('l');
+        if (dragScale) {
+            minLightness = dragScale.min;
+            range = dragScale.max - dragScale.min;
+        }
         
         // Create grid lines
         const gridLines = 5;
@@ -786,7 +2520,7 @@ class ColorBandEditor {
         const points = [];
         
         for (let i = 0; i < this.colors.length; i++) {
-            const x = margin.left + (i / (this.colors.length - 1)) * graphWidth;
+            const x = margin.left + positions[i] * graphWidth;
             const normalizedValue = (lightnessValues[i] - minLightness) / range;
             const y = height - margin.bottom - normalizedValue * graphHeight;
             
@@ -799,35 +2533,269 @@ class ColorBandEditor {
             }
         }
         
-        // Create the line path
+        // Create the line path
+        const linePath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        linePath.setAttribute('d', pathData);
+        lineGroup.appendChild(linePath);
+        
+        // Create points
+        points.forEach(point => {
+            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            circle.setAttribute('cx', point.x);
+            circle.setAttribute('cy', point.y);
+            circle.setAttribute('r', 4);
+            circle.setAttribute('class', this.getGraphPointClass(point.index));
+            
+            // Add tooltip
+            const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            title.textContent = `Index ${point.index}: ${this.colors[point.index]} (${Math.round(lightnessValues[point.index])}% lightness)`;
+            circle.appendChild(title);
+            
+            // Add click handler to toggle lock, drag to edit lightness
+            circle.style.cursor = 'pointer';
+            circle.addEventListener('click', () => {
+                if (this.graphDragMoved) return;
+                this.toggleLock(point.index);
+            });
+            circle.addEventListener('pointerdown', (e) => {
+                this.startGraphPointDrag(e, point.index, 'l', {
+                    min: minLightness,
+                    max: minLightness + range,
+                    top: margin.top,
+                    graphHeight
+                });
+            });
+            
+            pointsGroup.appendChild(circle);
+        });
+        
+        this.drawLightnessTargetGraph();
+    }
+    
+    // Target L* for every band, from the curve between the first and last band or typed values
+    getLightnessTargets() {
+        const count = this.colors.length;
+        const { curve, handles, values } = this.lightnessTarget;
+        
+        if (curve === 'custom' && values && values.length > 0) {
+            if (values.length === count) return [...values];
+            
+            // Resample typed values when the band count changed
+            return Array.from({ length: count }, (_, i) => {
+                const position = count > 1 ? (i / (count - 1)) * (values.length - 1) : 0;
+                const lower = Math.floor(position);
+                const upper = Math.min(lower + 1, values.length - 1);
+                return values[lower] + (values[upper] - values[lower]) * (position - lower);
+            });
+        }
+        
+        const lightnessAt = index => this.p3Colors
+            ? ColorUtils.p3ToLab(this.p3Colors[index]).l
+            : ColorUtils.hexToLab(this.colors[index]).l;
+        const startL = lightnessAt(0);
+        const endL = lightnessAt(count - 1);
+        return SmoothingAlgorithms.lightnessTargets(startL, endL, count, curve === 'custom' ? 'linear' : curve, handles, this.getStopPositions());
+    }
+    
+    setLightnessCurve(curve) {
+        // Custom values start from whatever curve was showing
+        if (curve === 'custom' && !this.lightnessTarget.values) {
+            this.lightnessTarget.values = this.getLightnessTargets();
+        }
+        
+        this.lightnessTarget.curve = curve;
+        document.getElementById('lightnessCurve').value = curve;
+        this.applySmoothing();
+        this.drawLightnessTargetGraph();
+    }
+    
+    drawLightnessTargetGraph() {
+        const container = document.getElementById('lightnessTargetContainer');
+        if (!container || container.style.display === 'none' || this.colors.length < 2) return;
+        
+        const svg = document.getElementById('lightnessTargetGraph');
+        const gridGroup = svg.querySelector('.graph-grid');
+        const currentGroup = svg.querySelector('.target-graph-current');
+        const lineGroup = svg.querySelector('.target-graph-line');
+        const handlesGroup = svg.querySelector('.target-graph-handles');
+        
+        // Clear existing content
+        gridGroup.innerHTML = '';
+        currentGroup.innerHTML = '';
+        lineGroup.innerHTML = '';
+        handlesGroup.innerHTML = '';
+        
+        const width = 440;
+        const height = 160;
+        const margin = { top: 30, right: 30, bottom: 30, left: 40 };
+        const graphWidth = width - margin.left - margin.right;
+        const graphHeight = height - margin.top - margin.bottom;
+        const toX = position => margin.left + position * graphWidth;
+        const toY = lightness => height - margin.bottom - (lightness / 100) * graphHeight;
+        
+        // Create grid lines
+        const gridLines = 5;
+        for (let i = 0; i <= gridLines; i++) {
+            const y = margin.top + (i / gridLines) * graphHeight;
+            const gridLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            gridLine.setAttribute('x1', margin.left);
+            gridLine.setAttribute('y1', y);
+            gridLine.setAttribute('x2', width - margin.right);
+            gridLine.setAttribute('y2', y);
+            gridGroup.appendChild(gridLine);
+        }
+        
+        const count = this.colors.length;
+        const positions = this.getStopPositions();
+        const targets = this.getLightnessTargets();
+        
+        // Current L* of each band, for comparison
+        this.colors.forEach((color, index) => {
+            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            circle.setAttribute('cx', toX(positions[index]));
+            const lightness = this.p3Colors ? ColorUtils.p3ToLab(this.p3Colors[index]).l : ColorUtils.hexToLab(color).l;
+            circle.setAttribute('cy', toY(lightness));
+            circle.setAttribute('r', 2.5);
+            currentGroup.appendChild(circle);
+        });
+        
+        // Target curve and points
+        const pathData = targets.map((target, index) => `${index === 0 ? 'M' : 'L'} ${toX(positions[index])} ${toY(target)}`).join(' ');
         const linePath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
         linePath.setAttribute('d', pathData);
         lineGroup.appendChild(linePath);
         
-        // Create points
-        points.forEach(point => {
+        targets.forEach((target, index) => {
             const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-            circle.setAttribute('cx', point.x);
-            circle.setAttribute('cy', point.y);
-            circle.setAttribute('r', 4);
-            circle.setAttribute('class', this.lockedColors.has(point.index) ? 'locked' : 'unlocked');
+            circle.setAttribute('cx', toX(positions[index]));
+            circle.setAttribute('cy', toY(target));
+            circle.setAttribute('r', 3.5);
+            circle.setAttribute('class', this.lockedColors.has(index) ? 'locked' : 'unlocked');
             
-            // Add tooltip
             const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
-            title.textContent = `Index ${point.index}: ${this.colors[point.index]} (${Math.round(lightnessValues[point.index])}% lightness)`;
+            title.textContent = `Index ${index}: target L* ${target.toFixed(1)}${this.lockedColors.has(index) ? ' (locked, not solved)' : ''}`;
             circle.appendChild(title);
             
-            // Add click handler to toggle lock
-            circle.style.cursor = 'pointer';
-            circle.addEventListener('click', () => {
-                this.toggleLock(point.index);
+            lineGroup.appendChild(circle);
+        });
+        
+        // Bezier handles, drawn from the curve's start and end points
+        if (this.lightnessTarget.curve === 'bezier') {
+            const startL = targets[0];
+            const endL = targets[count - 1];
+            const anchors = [
+                { key: 1, x: 0, y: 0 },
+                { key: 2, x: 1, y: 1 }
+            ];
+            
+            anchors.forEach(anchor => {
+                const handleX = this.lightnessTarget.handles[`x${anchor.key}`];
+                const handleY = this.lightnessTarget.handles[`y${anchor.key}`];
+                const cx = toX(handleX);
+                const cy = toY(startL + (endL - startL) * handleY);
+                
+                const handleLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+                handleLine.setAttribute('x1', toX(anchor.x));
+                handleLine.setAttribute('y1', toY(startL + (endL - startL) * anchor.y));
+                handleLine.setAttribute('x2', cx);
+                handleLine.setAttribute('y2', cy);
+                handlesGroup.appendChild(handleLine);
+                
+                const handle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+                handle.setAttribute('cx', cx);
+                handle.setAttribute('cy', cy);
+                handle.setAttribute('r', 5);
+                
+                const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+                title.textContent = 'Drag to shape the lightness curve';
+                handle.appendChild(title);
+                
+                handle.addEventListener('pointerdown', (e) => {
+                    this.startLightnessHandleDrag(e, anchor.key, { margin, graphWidth, graphHeight, height, startL, endL });
+                });
+                
+                handlesGroup.appendChild(handle);
             });
+        }
+        
+        this.renderLightnessTargetValues(targets);
+    }
+    
+    // Drag a bezier handle, redrawing the curve live and smoothing once on release.
+    // Listeners live on the document because each redraw replaces the handle element
+    startLightnessHandleDrag(event, key, frame) {
+        if (event.button !== undefined && event.button !== 0) return;
+        
+        event.preventDefault();
+        const svg = document.getElementById('lightnessTargetGraph');
+        
+        const onMove = (e) => {
+            const point = svg.createSVGPoint();
+            point.x = e.clientX;
+            point.y = e.clientY;
+            const local = point.matrixTransform(svg.getScreenCTM().inverse());
             
-            pointsGroup.appendChild(circle);
+            const x = (local.x - frame.margin.left) / frame.graphWidth;
+            const lightness = ((frame.height - frame.margin.bottom - local.y) / frame.graphHeight) * 100;
+            const range = frame.endL - frame.startL;
+            const y = range !== 0 ? (lightness - frame.startL) / range : 0;
+            
+            this.lightnessTarget.handles[`x${key}`] = Math.max(0, Math.min(1, x));
+            this.lightnessTarget.handles[`y${key}`] = Math.max(0, Math.min(1, y));
+            this.drawLightnessTargetGraph();
+        };
+        
+        const onUp = () => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onUp);
+            document.removeEventListener('pointercancel', onUp);
+            this.applySmoothing();
+        };
+        
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onUp);
+        document.addEventListener('pointercancel', onUp);
+    }
+    
+    // Per-step L* inputs; typing a value switches the curve to custom values
+    renderLightnessTargetValues(targets) {
+        const valuesContainer = document.getElementById('lightnessTargetValues');
+        
+        // Don't rebuild while the user is typing in one of the inputs
+        if (valuesContainer.contains(document.activeElement) && valuesContainer.children.length === targets.length) {
+            return;
+        }
+        
+        valuesContainer.innerHTML = '';
+        targets.forEach((target, index) => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'input lightness-target-input';
+            input.value = target.toFixed(1);
+            input.title = `Target L* for index ${index}`;
+            input.disabled = this.lockedColors.has(index);
+            
+            input.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (isNaN(value)) {
+                    e.target.value = target.toFixed(1);
+                    return;
+                }
+                
+                const values = this.getLightnessTargets();
+                values[index] = Math.max(0, Math.min(100, value));
+                this.lightnessTarget.values = values;
+                
+                e.target.blur();
+                this.setLightnessCurve('custom');
+            });
+            
+            valuesContainer.appendChild(input);
         });
     }
     
     drawHueSpaceGraph() {
+        const positions = this.getStopPositions();
         if (this.colors.length < 2) return;
         
         const svg = document.querySelector('#hueSpaceGraph svg');
@@ -841,7 +2809,7 @@ class ColorBandEditor {
         pointsGroup.innerHTML = '';
         
         // Convert colors to hue values
-        const hueValues = this.colors.map(color => {
+        const hueValues = this.getDisplayColors().map(color => {
             const hsl = ColorUtils.hexToHsl(color);
             return hsl ? hsl.h : 0; // Fallback to 0 if conversion fails
         });
@@ -857,6 +2825,7 @@ class ColorBandEditor {
         }
         
         // If the range spans more than 180 degrees, we might have a wraparound
+        let isWrapped = false;
         if (maxHue - minHue > 180) {
             // Check if it would be better to show as a wraparound
             const adjustedHues = hueValues.map(h => h < 180 ? h + 360 : h);
@@ -865,6 +2834,7 @@ class ColorBandEditor {
             
             if (adjustedMax - adjustedMin < maxHue - minHue) {
                 // Use adjusted values
+                isWrapped = true;
                 minHue = adjustedMin - 360;
                 maxHue = adjustedMax - 360;
                 hueValues.forEach((h, i) => {
@@ -881,6 +2851,18 @@ class ColorBandEditor {
             maxHue = center + 10;
         }
         
+        // Keep the scale fixed while a point is being dragged
+        const dragScale = this.getGraphDragScale('h');
+        if (dragScale) {
+            minHue = dragScale.min;
+            maxHue = dragScale.max;
+            isWrapped = dragScale.wrapped;
+            hueValues.forEach((h, i) => {
+                const hue = h % 360;
+                hueValues[i] = isWrapped && hue < 180 ? hue + 360 : hue;
+            });
+        }
+        
         // Update axis labels with actual range
         const hueMaxLabel = svg.querySelector('.hue-max');
         const hueMidLabel = svg.querySelector('.hue-mid');
@@ -914,7 +2896,7 @@ class ColorBandEditor {
         
         // Create points
         const points = hueValues.map((hue, index) => {
-            const x = margin.left + (index / (this.colors.length - 1)) * graphWidth;
+            const x = margin.left + positions[index] * graphWidth;
             const y = margin.top + graphHeight - ((hue - minHue) / (maxHue - minHue)) * graphHeight;
             return { x, y, hue, index };
         });
@@ -936,7 +2918,7 @@ class ColorBandEditor {
             circle.setAttribute('cx', point.x);
             circle.setAttribute('cy', point.y);
             circle.setAttribute('r', 4);
-            circle.setAttribute('class', this.lockedColors.has(point.index) ? 'locked' : 'unlocked');
+            circle.setAttribute('class', this.getGraphPointClass(point.index));
             
             // Add tooltip
             const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
@@ -945,14 +2927,25 @@ class ColorBandEditor {
             
             circle.style.cursor = 'pointer';
             circle.addEventListener('click', () => {
+                if (this.graphDragMoved) return;
                 this.toggleLock(point.index);
             });
+            circle.addEventListener('pointerdown', (e) => {
+                this.startGraphPointDrag(e, point.index, 'h', {
+                    min: minHue,
+                    max: maxHue,
+                    wrapped: isWrapped,
+                    top: margin.top,
+                    graphHeight
+                });
+            });
             
             pointsGroup.appendChild(circle);
         });
     }
     
     drawSaturationSpaceGraph() {
+        const positions = this.getStopPositions();
         if (this.colors.length < 2) return;
         
         const svg = document.querySelector('#saturationSpaceGraph svg');
@@ -966,7 +2959,7 @@ class ColorBandEditor {
         pointsGroup.innerHTML = '';
         
         // Convert colors to saturation values
-        const saturationValues = this.colors.map(color => {
+        const saturationValues = this.getDisplayColors().map(color => {
             const hsl = ColorUtils.hexToHsl(color);
             return hsl ? hsl.s : 0; // Fallback to 0 if conversion fails
         });
@@ -989,6 +2982,13 @@ class ColorBandEditor {
             maxSaturation = Math.min(100, center + 5);
         }
         
+        // Keep the scale fixed while a point is being dragged
+        const dragScale = this.getGraphDragScale('s');
+        if (dragScale) {
+            minSaturation = dragScale.min;
+            maxSaturation = dragScale.max;
+        }
+        
         // Update axis labels with actual range
         const saturationMaxLabel = svg.querySelector('.saturation-max');
         const saturationMidLabel = svg.querySelector('.saturation-mid');
@@ -1022,7 +3022,7 @@ class ColorBandEditor {
         
         // Create points
         const points = saturationValues.map((saturation, index) => {
-            const x = margin.left + (index / (this.colors.length - 1)) * graphWidth;
+            const x = margin.left + positions[index] * graphWidth;
             const y = margin.top + graphHeight - ((saturation - minSaturation) / (maxSaturation - minSaturation)) * graphHeight;
             return { x, y, saturation, index };
         });
@@ -1044,7 +3044,7 @@ class ColorBandEditor {
             circle.setAttribute('cx', point.x);
             circle.setAttribute('cy', point.y);
             circle.setAttribute('r', 4);
-            circle.setAttribute('class', this.lockedColors.has(point.index) ? 'locked' : 'unlocked');
+            circle.setAttribute('class', this.getGraphPointClass(point.index));
             
             // Add tooltip
             const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
@@ -1053,8 +3053,17 @@ class ColorBandEditor {
             
             circle.style.cursor = 'pointer';
             circle.addEventListener('click', () => {
+                if (this.graphDragMoved) return;
                 this.toggleLock(point.index);
             });
+            circle.addEventListener('pointerdown', (e) => {
+                this.startGraphPointDrag(e, point.index, 's', {
+                    min: minSaturation,
+                    max: maxSaturation,
+                    top: margin.top,
+                    graphHeight
+                });
+            });
             
             pointsGroup.appendChild(circle);
         });
@@ -1074,7 +3083,7 @@ class ColorBandEditor {
         pointsGroup.innerHTML = '';
         
         // Convert colors to red values
-        const redValues = this.colors.map(color => {
+        const redValues = this.getDisplayColors().map(color => {
             const rgb = ColorUtils.hexToRgb(color);
             return rgb ? rgb.r : 0;
         });
@@ -1096,7 +3105,7 @@ class ColorBandEditor {
         pointsGroup.innerHTML = '';
         
         // Convert colors to green values
-        const greenValues = this.colors.map(color => {
+        const greenValues = this.getDisplayColors().map(color => {
             const rgb = ColorUtils.hexToRgb(color);
             return rgb ? rgb.g : 0;
         });
@@ -1118,7 +3127,7 @@ class ColorBandEditor {
         pointsGroup.innerHTML = '';
         
         // Convert colors to blue values
-        const blueValues = this.colors.map(color => {
+        const blueValues = this.getDisplayColors().map(color => {
             const rgb = ColorUtils.hexToRgb(color);
             return rgb ? rgb.b : 0;
         });
@@ -1127,6 +3136,7 @@ class ColorBandEditor {
     }
     
     drawRGBChannelGraph(svg, channelValues, channelName, channelLabel) {
+        const positions = this.getStopPositions();
         const gridGroup = svg.querySelector('.graph-grid');
         const lineGroup = svg.querySelector('.graph-line');
         const pointsGroup = svg.querySelector('.graph-points');
@@ -1182,7 +3192,7 @@ class ColorBandEditor {
         
         // Create points
         const points = channelValues.map((value, index) => {
-            const x = margin.left + (index / (this.colors.length - 1)) * graphWidth;
+            const x = margin.left + positions[index] * graphWidth;
             const y = margin.top + graphHeight - ((value - minValue) / (maxValue - minValue)) * graphHeight;
             return { x, y, value, index };
         });
@@ -1204,7 +3214,7 @@ class ColorBandEditor {
             circle.setAttribute('cx', point.x);
             circle.setAttribute('cy', point.y);
             circle.setAttribute('r', 4);
-            circle.setAttribute('class', this.lockedColors.has(point.index) ? 'locked' : 'unlocked');
+            circle.setAttribute('class', this.getGraphPointClass(point.index));
             
             // Add tooltip
             const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
@@ -1220,9 +3230,414 @@ class ColorBandEditor {
         });
     }
     
+    drawPerceptualGraphs() {
+        this.drawLabLightnessGraph();
+        this.drawChromaGraph();
+        this.drawAbPlaneGraph();
+        this.draw3DView();
+    }
+    
+    // Lightness, a/b and chroma of each color in CIELAB (L* 0-100) or OKLab (L scaled to 0-100 to match)
+    getPerceptualValues(colors, space) {
+        return colors.map(color => {
+            if (space === 'oklab') {
+                const lab = ColorUtils.hexToOklab(color);
+                return { l: lab.l * 100, a: lab.a, b: lab.b, c: Math.sqrt(lab.a * lab.a + lab.b * lab.b) };
+            }
+            
+            const lab = ColorUtils.hexToLab(color);
+            return { l: lab.l, a: lab.a, b: lab.b, c: Math.sqrt(lab.a * lab.a + lab.b * lab.b) };
+        });
+    }
+    
+    // Min/max for a value graph, padded to a minimum range and kept within floor/ceiling
+    getValueGraphScale(values, floor, ceiling, minRange) {
+        let minValue = Math.min(...values);
+        let maxValue = Math.max(...values);
+        
+        if (maxValue - minValue < minRange) {
+            const center = (minValue + maxValue) / 2;
+            minValue = Math.max(floor, center - minRange / 2);
+            maxValue = Math.min(ceiling, minValue + minRange);
+            minValue = Math.max(floor, maxValue - minRange);
+        }
+        
+        return { min: minValue, max: maxValue };
+    }
+    
+    drawLabLightnessGraph() {
+        if (this.colors.length < 2) return;
+        
+        const space = document.getElementById('labLightnessSpace').value;
+        const svg = document.querySelector('#labLightnessGraph svg');
+        const values = this.getPerceptualValues(this.getDisplayColors(), space).map(value => value.l);
+        const scale = this.getValueGraphScale(values, 0, 100, 10);
+        const axisTitle = space === 'oklab' ? 'L' : 'L*';
+        
+        this.drawPerceptualChannelGraph(svg, values, scale, 'lab-lightness', axisTitle, value => value.toFixed(1));
+    }
+    
+    drawChromaGraph() {
+        if (this.colors.length < 2) return;
+        
+        const space = document.getElementById('chromaSpace').value;
+        const svg = document.querySelector('#chromaGraph svg');
+        const values = this.getPerceptualValues(this.getDisplayColors(), space).map(value => value.c);
+        const isOklab = space === 'oklab';
+        const scale = this.getValueGraphScale(values, 0, isOklab ? 0.5 : 150, isOklab ? 0.02 : 5);
+        const format = value => isOklab ? value.toFixed(3) : value.toFixed(1);
+        
+        this.drawPerceptualChannelGraph(svg, values, scale, 'chroma', 'C', format);
+    }
+    
+    drawPerceptualChannelGraph(svg, values, scale, labelClass, axisTitle, format) {
+        const positions = this.getStopPositions();
+        const gridGroup = svg.querySelector('.graph-grid');
+        const lineGroup = svg.querySelector('.graph-line');
+        const pointsGroup = svg.querySelector('.graph-points');
+        
+        // Clear existing content
+        gridGroup.innerHTML = '';
+        lineGroup.innerHTML = '';
+        pointsGroup.innerHTML = '';
+        
+        const { min: minValue, max: maxValue } = scale;
+        const range = maxValue - minValue || 1;
+        
+        // Update axis labels with actual range
+        const maxLabel = svg.querySelector(`.${labelClass}-max`);
+        const midLabel = svg.querySelector(`.${labelClass}-mid`);
+        const minLabel = svg.querySelector(`.${labelClass}-min`);
+        const titleLabel = svg.querySelector(`.${labelClass}-title`);
+        
+        if (maxLabel && midLabel && minLabel) {
+            maxLabel.textContent = format(maxValue);
+            midLabel.textContent = format((minValue + maxValue) / 2);
+            minLabel.textContent = format(minValue);
+        }
+        if (titleLabel) {
+            titleLabel.textContent = axisTitle;
+        }
+        
+        // Graph dimensions
+        const width = 440;
+        const height = 160;
+        const margin = { top: 20, right: 30, bottom: 30, left: 40 };
+        const graphWidth = width - margin.left - margin.right;
+        const graphHeight = height - margin.top - margin.bottom;
+        
+        // Create grid lines
+        const gridLines = 5;
+        for (let i = 0; i <= gridLines; i++) {
+            const y = margin.top + (i / gridLines) * graphHeight;
+            const gridLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            gridLine.setAttribute('x1', margin.left);
+            gridLine.setAttribute('y1', y);
+            gridLine.setAttribute('x2', width - margin.right);
+            gridLine.setAttribute('y2', y);
+            gridGroup.appendChild(gridLine);
+        }
+        
+        // Create points
+        const points = values.map((value, index) => {
+            const x = margin.left + positions[index] * graphWidth;
+            const y = margin.top + graphHeight - ((value - minValue) / range) * graphHeight;
+            return { x, y, value, index };
+        });
+        
+        // Create line path
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', points.map((point, i) => `${i === 0 ? 'M' : 'L'} ${point.x} ${point.y}`).join(' '));
+        lineGroup.appendChild(path);
+        
+        // Create points
+        points.forEach(point => {
+            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            circle.setAttribute('cx', point.x);
+            circle.setAttribute('cy', point.y);
+            circle.setAttribute('r', 4);
+            circle.setAttribute('class', this.getGraphPointClass(point.index));
+            
+            // Add tooltip
+            const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            title.textContent = `Color ${point.index}: ${this.colors[point.index]} (${axisTitle} ${format(point.value)})`;
+            circle.appendChild(title);
+            
+            circle.style.cursor = 'pointer';
+            circle.addEventListener('click', () => {
+                this.toggleLock(point.index);
+            });
+            
+            pointsGroup.appendChild(circle);
+        });
+    }
+    
+    // Layout for the a/b plane: square units centered on the neutral axis, sized to fit every point
+    getAbPlaneLayout(values, space) {
+        const width = 440;
+        const height = 160;
+        const margin = { top: 15, right: 30, bottom: 25, left: 40 };
+        const graphWidth = width - margin.left - margin.right;
+        const graphHeight = height - margin.top - margin.bottom;
+        
+        const minExtent = space === 'oklab' ? 0.05 : 20;
+        const extent = Math.max(minExtent, ...values.map(value => Math.max(Math.abs(value.a), Math.abs(value.b)))) * 1.15;
+        const unit = Math.min(graphWidth, graphHeight) / (extent * 2);
+        const centerX = margin.left + graphWidth / 2;
+        const centerY = margin.top + graphHeight / 2;
+        
+        return {
+            width,
+            height,
+            margin,
+            extent,
+            centerX,
+            centerY,
+            toX: a => centerX + a * unit,
+            toY: b => centerY - b * unit
+        };
+    }
+    
+    drawAbPlaneGraph() {
+        if (this.colors.length < 2) return;
+        
+        const space = document.getElementById('abPlaneSpace').value;
+        const svg = document.querySelector('#abPlaneGraph svg');
+        const gridGroup = svg.querySelector('.graph-grid');
+        const lineGroup = svg.querySelector('.graph-line');
+        const pointsGroup = svg.querySelector('.ab-plane-points');
+        
+        // Clear existing content
+        gridGroup.innerHTML = '';
+        lineGroup.innerHTML = '';
+        pointsGroup.innerHTML = '';
+        
+        const displayColors = this.getDisplayColors();
+        const values = this.getPerceptualValues(displayColors, space);
+        const layout = this.getAbPlaneLayout(values, space);
+        
+        // Axis titles follow the space
+        const xTitle = svg.querySelector('.ab-x-title');
+        const yTitle = svg.querySelector('.ab-y-title');
+        if (xTitle && yTitle) {
+            xTitle.textContent = space === 'oklab' ? 'a' : 'a*';
+            yTitle.textContent = space === 'oklab' ? 'b' : 'b*';
+        }
+        
+        // Neutral axes through a = 0 and b = 0
+        const axes = [
+            [layout.margin.left, layout.centerY, layout.width - layout.margin.right, layout.centerY],
+            [layout.centerX, layout.margin.top, layout.centerX, layout.height - layout.margin.bottom]
+        ];
+        axes.forEach(([x1, y1, x2, y2]) => {
+            const axisLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            axisLine.setAttribute('x1', x1);
+            axisLine.setAttribute('y1', y1);
+            axisLine.setAttribute('x2', x2);
+            axisLine.setAttribute('y2', y2);
+            gridGroup.appendChild(axisLine);
+        });
+        
+        // Scale path
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', values.map((value, i) => `${i === 0 ? 'M' : 'L'} ${layout.toX(value.a)} ${layout.toY(value.b)}`).join(' '));
+        lineGroup.appendChild(path);
+        
+        // Points filled with their band color
+        const precision = space === 'oklab' ? 3 : 1;
+        values.forEach((value, index) => {
+            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            circle.setAttribute('cx', layout.toX(value.a));
+            circle.setAttribute('cy', layout.toY(value.b));
+            circle.setAttribute('r', 4);
+            circle.setAttribute('class', this.getGraphPointClass(index));
+            circle.setAttribute('fill', displayColors[index]);
+            
+            // Add tooltip
+            const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            title.textContent = `Color ${index}: ${this.colors[index]} (a ${value.a.toFixed(precision)}, b ${value.b.toFixed(precision)})`;
+            circle.appendChild(title);
+            
+            circle.addEventListener('click', () => {
+                this.toggleLock(index);
+            });
+            
+            pointsGroup.appendChild(circle);
+        });
+    }
+    
+    // Position of an RGB color in the 3D view, inside roughly a unit cube centered on the origin
+    // with lightness (green in RGB) pointing up
+    get3DCoordinates(rgb, space) {
+        if (space === 'rgb') {
+            return { x: rgb.r / 255 - 0.5, y: rgb.g / 255 - 0.5, z: rgb.b / 255 - 0.5 };
+        }
+        
+        if (space === 'lab') {
+            const lab = ColorUtils.rgbToLab(rgb.r, rgb.g, rgb.b);
+            return { x: lab.A / 200, y: lab.L / 100 - 0.5, z: -lab.B / 200 };
+        }
+        
+        const lab = ColorUtils.rgbToOklab(rgb.r, rgb.g, rgb.b);
+        return { x: lab.a * 1.6, y: lab.l - 0.5, z: -lab.b * 1.6 };
+    }
+    
+    // The sRGB cube's edges and face midlines, sampled as polylines in the given space
+    getGamutHull(space) {
+        if (this.gamutHullCache[space]) return this.gamutHullCache[space];
+        
+        const samples = 16;
+        const lines = [];
+        const corners = [0, 1];
+        
+        // For each axis, run a line along it from every combination of the other two channels
+        // (0/1 for the cube edges, 0.5 for the face midlines)
+        [0, 1, 2].forEach(axis => {
+            [0, 0.5, 1].forEach(u => {
+                [0, 0.5, 1].forEach(v => {
+                    if (!corners.includes(u) && !corners.includes(v)) return;
+                    
+                    const line = [];
+                    for (let i = 0; i <= samples; i++) {
+                        const channels = [u, v];
+                        channels.splice(axis, 0, i / samples);
+                        const rgb = { r: channels[0] * 255, g: channels[1] * 255, b: channels[2] * 255 };
+                        line.push(this.get3DCoordinates(rgb, space));
+                    }
+                    lines.push(line);
+                });
+            });
+        });
+        
+        this.gamutHullCache[space] = lines;
+        return lines;
+    }
+    
+    // Rotate by yaw then pitch and project orthographically; larger depth is nearer the viewer
+    project3D(point, center, scale) {
+        const { yaw, pitch } = this.view3d;
+        const x1 = point.x * Math.cos(yaw) - point.z * Math.sin(yaw);
+        const z1 = point.x * Math.sin(yaw) + point.z * Math.cos(yaw);
+        const y2 = point.y * Math.cos(pitch) - z1 * Math.sin(pitch);
+        const z2 = point.y * Math.sin(pitch) + z1 * Math.cos(pitch);
+        
+        return { x: center.x + x1 * scale, y: center.y - y2 * scale, depth: z2 };
+    }
+    
+    draw3DView() {
+        const svg = document.querySelector('#view3dGraph svg');
+        if (!svg || this.colors.length < 2) return;
+        
+        const hullGroup = svg.querySelector('.view3d-hull');
+        const axisGroup = svg.querySelector('.view3d-axis');
+        const lineGroup = svg.querySelector('.graph-line');
+        const pointsGroup = svg.querySelector('.view3d-points');
+        
+        // Clear existing content
+        hullGroup.innerHTML = '';
+        axisGroup.innerHTML = '';
+        lineGroup.innerHTML = '';
+        pointsGroup.innerHTML = '';
+        
+        const space = document.getElementById('view3dSpace').value;
+        const center = { x: 220, y: 150 };
+        const scale = 170;
+        const project = point => this.project3D(point, center, scale);
+        
+        // sRGB gamut wireframe
+        this.getGamutHull(space).forEach(line => {
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('d', line.map((point, i) => {
+                const projected = project(point);
+                return `${i === 0 ? 'M' : 'L'} ${projected.x} ${projected.y}`;
+            }).join(' '));
+            hullGroup.appendChild(path);
+        });
+        
+        // Neutral axis from black to white
+        const black = project(this.get3DCoordinates({ r: 0, g: 0, b: 0 }, space));
+        const white = project(this.get3DCoordinates({ r: 255, g: 255, b: 255 }, space));
+        const axisLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        axisLine.setAttribute('x1', black.x);
+        axisLine.setAttribute('y1', black.y);
+        axisLine.setAttribute('x2', white.x);
+        axisLine.setAttribute('y2', white.y);
+        axisGroup.appendChild(axisLine);
+        
+        // Scale path
+        const displayColors = this.getDisplayColors();
+        const points = displayColors.map((color, index) => ({
+            ...project(this.get3DCoordinates(ColorUtils.hexToRgb(color), space)),
+            color,
+            index
+        }));
+        
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', points.map((point, i) => `${i === 0 ? 'M' : 'L'} ${point.x} ${point.y}`).join(' '));
+        lineGroup.appendChild(path);
+        
+        // Points, far to near so nearer points sit on top
+        [...points].sort((a, b) => a.depth - b.depth).forEach(point => {
+            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            circle.setAttribute('cx', point.x);
+            circle.setAttribute('cy', point.y);
+            circle.setAttribute('r', 5 + point.depth * 2);
+            circle.setAttribute('class', this.getGraphPointClass(point.index));
+            circle.setAttribute('fill', point.color);
+            
+            // Add tooltip
+            const hsl = ColorUtils.hexToHsl(point.color);
+            const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            title.textContent = `Index ${point.index}: ${this.colors[point.index]} (${Math.round(hsl ? hsl.l : 0)}% lightness)`;
+            circle.appendChild(title);
+            
+            circle.addEventListener('click', () => {
+                if (this.view3dDragMoved) return;
+                this.toggleLock(point.index);
+            });
+            
+            pointsGroup.appendChild(circle);
+        });
+    }
+    
+    // Drag anywhere on the 3D view to rotate it
+    start3DRotate(event) {
+        if (event.button !== undefined && event.button !== 0) return;
+        
+        const start = { x: event.clientX, y: event.clientY, yaw: this.view3d.yaw, pitch: this.view3d.pitch };
+        this.view3dDragMoved = false;
+        
+        const onMove = (e) => {
+            const dx = e.clientX - start.x;
+            const dy = e.clientY - start.y;
+            if (!this.view3dDragMoved && Math.abs(dx) + Math.abs(dy) < 3) return;
+            this.view3dDragMoved = true;
+            
+            this.view3d.yaw = start.yaw + dx * 0.01;
+            this.view3d.pitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, start.pitch + dy * 0.01));
+            this.draw3DView();
+        };
+        
+        const onUp = () => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onUp);
+            document.removeEventListener('pointercancel', onUp);
+        };
+        
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onUp);
+        document.addEventListener('pointercancel', onUp);
+    }
+    
+    getGraphPointClass(index) {
+        const lockClass = this.lockedColors.has(index) ? 'locked' : 'unlocked';
+        return this.outOfGamut.has(index) ? `${lockClass} out-of-gamut` : lockClass;
+    }
+    
     resetColors() {
         this.colors = [...this.originalColors];
         this.lockedColors.clear();
+        this.outOfGamut.clear();
         this.renderEditor();
         this.updatePreview();
         this.drawColorSpaceGraph();
@@ -1231,6 +3646,7 @@ class ColorBandEditor {
         this.drawRedChannelGraph();
         this.drawGreenChannelGraph();
         this.drawBlueChannelGraph();
+        this.drawPerceptualGraphs();
         this.updateURL(); // Update URL when resetting
         this.saveToHistory('Reset to original colors');
     }
@@ -1246,6 +3662,7 @@ class ColorBandEditor {
                 if (colors.length >= 3 && colors.every(c => this.validateHex(c))) {
                     this.colors = colors;
                     this.originalColors = [...colors];
+                    this.stopNames = null;
                     this.bandCount = colors.length;
                     
                     // Update DOM elements if they exist
@@ -1257,6 +3674,24 @@ class ColorBandEditor {
             }
         }
         
+        // Load custom stop names from URL
+        const namesParam = urlParams.get('names');
+        if (namesParam) {
+            this.stopNames = this.parseStopNames(namesParam.split(','), this.colors.length);
+        }
+        
+        // Load band positions from URL: stops=names, or stops=custom with pos= keys
+        const stopsParam = urlParams.get('stops');
+        if (stopsParam === 'names' || stopsParam === 'custom') {
+            this.stopSpacing = stopsParam;
+            const keys = (urlParams.get('pos') || '').split(',').map(parseFloat);
+            this.stopPositions = this.normalizeStopPositions(keys, this.colors.length) ? keys : null;
+            this.syncStopPositions();
+            
+            const stopSpacingSelect = document.getElementById('stopSpacing');
+            if (stopSpacingSelect) stopSpacingSelect.value = this.stopSpacing;
+        }
+        
         // Load locked colors from URL
         const lockedParam = urlParams.get('locked');
         if (lockedParam) {
@@ -1268,9 +3703,38 @@ class ColorBandEditor {
             }
         }
         
+        // Load target lightness curve from URL
+        const curveParam = urlParams.get('lcurve');
+        if (curveParam && ['linear', 'ease-in', 'ease-out', 'ease-in-out', 'bezier', 'custom'].includes(curveParam)) {
+            this.lightnessTarget.curve = curveParam;
+            const curveSelect = document.getElementById('lightnessCurve');
+            if (curveSelect) curveSelect.value = curveParam;
+        }
+        
+        const handlesParam = urlParams.get('lbez');
+        if (handlesParam) {
+            const [x1, y1, x2, y2] = handlesParam.split(',').map(parseFloat);
+            if ([x1, y1, x2, y2].every(value => !isNaN(value))) {
+                this.lightnessTarget.handles = {
+                    x1: Math.max(0, Math.min(1, x1)),
+                    y1: Math.max(0, Math.min(1, y1)),
+                    x2: Math.max(0, Math.min(1, x2)),
+                    y2: Math.max(0, Math.min(1, y2))
+                };
+            }
+        }
+        
+        const valuesParam = urlParams.get('lvals');
+        if (valuesParam) {
+            const values = valuesParam.split(',').map(parseFloat);
+            if (values.every(value => !isNaN(value))) {
+                this.lightnessTarget.values = values.map(value => Math.max(0, Math.min(100, value)));
+            }
+        }
+        
         // Load algorithm from URL
         const algorithmParam = urlParams.get('algorithm');
-        if (algorithmParam && ['hsl', 'lab', 'rgb', 'bezier'].includes(algorithmParam)) {
+        if (algorithmParam && ['hsl', 'lab', 'oklab', 'oklch', 'rgb', 'bezier', 'catmullrom', 'monotone', 'deltae', 'lightness'].includes(algorithmParam)) {
             const algorithmSelect = document.getElementById('smoothingAlgorithm');
             if (algorithmSelect) {
                 algorithmSelect.value = algorithmParam;
@@ -1278,6 +3742,43 @@ class ColorBandEditor {
             }
         }
         
+        // Load spline space from URL
+        const splineParam = urlParams.get('spline');
+        if (splineParam && ['oklab', 'oklch', 'lab', 'rgb'].includes(splineParam)) {
+            const splineSelect = document.getElementById('splineSpace');
+            if (splineSelect) splineSelect.value = splineParam;
+        }
+        
+        // Load spacing curve from URL
+        const spacingParam = urlParams.get('spacing');
+        if (spacingParam && ['equal', 'ease-in', 'ease-out', 'ease-in-out'].includes(spacingParam)) {
+            const spacingSelect = document.getElementById('spacingCurve');
+            if (spacingSelect) spacingSelect.value = spacingParam;
+        }
+        
+        // Load gamut mapping from URL (before P3 colors, whose sRGB fallbacks use it)
+        const gamutParam = urlParams.get('gamut');
+        if (gamutParam && ['css4', 'clip'].includes(gamutParam)) {
+            const gamutSelect = document.getElementById('gamutMapping');
+            if (gamutSelect) gamutSelect.value = gamutParam;
+        }
+        
+        // Load Display-P3 values from URL
+        const p3Param = urlParams.get('p3');
+        if (urlParams.get('space') === 'p3' && p3Param) {
+            const p3Colors = p3Param.split(',').map(value => {
+                const [r, g, b] = value.trim().split(/\s+/).map(parseFloat);
+                return ColorUtils.parseDisplayP3(`color(display-p3 ${r} ${g} ${b})`);
+            });
+            if (p3Colors.length === this.colors.length && p3Colors.every(Boolean)) {
+                this.colorGamut = 'display-p3';
+                this.p3Colors = p3Colors;
+                this.colors = p3Colors.map(p3 => this.getP3Fallback(p3));
+                const gamutSelect = document.getElementById('colorGamut');
+                if (gamutSelect) gamutSelect.value = 'display-p3';
+            }
+        }
+        
         // Load strength from URL
         const strengthParam = urlParams.get('strength');
         if (strengthParam) {
@@ -1298,6 +3799,19 @@ class ColorBandEditor {
         const colorsString = this.colors.map(c => c.replace('#', '')).join(',');
         urlParams.set('colors', colorsString);
         
+        // Add custom stop names if any
+        if (this.stopNames) {
+            urlParams.set('names', this.stopNames.join(','));
+        }
+        
+        // Add band positions unless they are even
+        if (this.stopSpacing !== 'even') {
+            urlParams.set('stops', this.stopSpacing);
+        }
+        if (this.stopSpacing === 'custom' && this.stopPositions) {
+            urlParams.set('pos', this.stopPositions.join(','));
+        }
+        
         // Add locked colors if any
         if (this.lockedColors.size > 0) {
             const lockedString = Array.from(this.lockedColors).sort((a, b) => a - b).join(',');
@@ -1310,6 +3824,42 @@ class ColorBandEditor {
             urlParams.set('algorithm', algorithm);
         }
         
+        // Add spline space if a spline algorithm is active and not default (oklab)
+        const splineSpace = document.getElementById('splineSpace').value;
+        if (['catmullrom', 'monotone'].includes(algorithm) && splineSpace !== 'oklab') {
+            urlParams.set('spline', splineSpace);
+        }
+        
+        // Add target lightness curve if the lightness mode is active and not default (linear)
+        if (algorithm === 'lightness' && this.lightnessTarget.curve !== 'linear') {
+            urlParams.set('lcurve', this.lightnessTarget.curve);
+            
+            if (this.lightnessTarget.curve === 'bezier') {
+                const { x1, y1, x2, y2 } = this.lightnessTarget.handles;
+                urlParams.set('lbez', [x1, y1, x2, y2].map(value => value.toFixed(2)).join(','));
+            } else if (this.lightnessTarget.curve === 'custom') {
+                urlParams.set('lvals', this.getLightnessTargets().map(value => parseFloat(value.toFixed(1))).join(','));
+            }
+        }
+        
+        // Add spacing curve if equal Delta E spacing is active and not default (equal)
+        const spacingCurve = document.getElementById('spacingCurve').value;
+        if (algorithm === 'deltae' && spacingCurve !== 'equal') {
+            urlParams.set('spacing', spacingCurve);
+        }
+        
+        // Add Display-P3 values when working in P3
+        if (this.p3Colors) {
+            urlParams.set('space', 'p3');
+            urlParams.set('p3', this.p3Colors.map(p3 => [p3.r, p3.g, p3.b].map(c => parseFloat(c.toFixed(4))).join(' ')).join(','));
+        }
+        
+        // Add gamut mapping if not default (css4)
+        const gamutMapping = document.getElementById('gamutMapping').value;
+        if (gamutMapping !== 'css4') {
+            urlParams.set('gamut', gamutMapping);
+        }
+        
         // Add strength if not default (0.5)
         const strength = parseFloat(document.getElementById('smoothingStrength').value);
         if (strength !== 0.5) {
@@ -1344,24 +3894,61 @@ class ColorBandEditor {
                     algorithm: document.getElementById('smoothingAlgorithm').value,
                     strength: parseFloat(document.getElementById('smoothingStrength').value)
                 },
+                stopNames: this.getStopNames(),
                 colors: this.colors,
                 originalColors: this.originalColors,
                 lockedIndices: Array.from(this.lockedColors)
             };
             
+            // Uneven scales carry their spacing mode, and custom ones their position keys
+            if (this.stopSpacing !== 'even') {
+                exportData.stopSpacing = this.stopSpacing;
+            }
+            if (this.stopSpacing === 'custom') {
+                exportData.stopPositions = this.stopPositions;
+            }
+            
+            // Display P3 scales export P3 values alongside the sRGB fallbacks in colors
+            if (this.p3Colors) {
+                exportData.metadata.colorSpace = 'display-p3';
+                exportData.displayP3Colors = this.p3Colors.map(p3 => ColorUtils.formatDisplayP3(p3));
+            }
+            
+            // Palettes export every scale; colors above stay the active scale for older readers
+            if (this.palette.scales.length > 1) {
+                this.captureActiveScale();
+                exportData.metadata.activeScale = this.getActiveScale().name;
+                exportData.scales = this.palette.scales.map(scale => {
+                    const entry = {
+                        name: scale.name,
+                        stopNames: this.getStopNames(scale.colors, scale.stopNames),
+                        colors: scale.colors,
+                        originalColors: scale.originalColors,
+                        lockedIndices: scale.lockedColors,
+                        algorithm: scale.settings.algorithm,
+                        strength: scale.settings.strength
+                    };
+                    if (scale.settings.stopSpacing && scale.settings.stopSpacing !== 'even') {
+                        entry.stopSpacing = scale.settings.stopSpacing;
+                    }
+                    if (scale.settings.stopSpacing === 'custom' && scale.stopPositions) {
+                        entry.stopPositions = scale.stopPositions;
+                    }
+                    if (scale.p3Colors) {
+                        entry.displayP3Colors = scale.p3Colors.map(p3 => ColorUtils.formatDisplayP3(p3));
+                    }
+                    if (scale.variant) {
+                        const light = this.palette.scales.find(other => other.id === scale.variant.of);
+                        entry.variant = { mode: 'dark', of: light ? light.name : null, background: scale.variant.background };
+                    }
+                    return entry;
+                });
+            }
+            
             // Convert to JSON string
             const jsonString = JSON.stringify(exportData, null, 2);
             
-            // Create and trigger download
-            const blob = new Blob([jsonString], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `color-scale-${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
+            this.downloadFile(jsonString, `color-scale-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
             
             // Show success feedback
             this.showCopyFeedback('exportJsonBtn', 'File downloaded!');
@@ -1372,13 +3959,343 @@ class ColorBandEditor {
         }
     }
     
+    // Lowercase identifier for variable names: "Brand Blue" becomes "brand-blue"
+    slugify(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9_]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+    
+    openCodeExport() {
+        this.captureActiveScale();
+        
+        const scopeRow = document.getElementById('codeExportScopeRow');
+        const scopeSelect = document.getElementById('codeExportScope');
+        scopeRow.style.display = this.palette.scales.length > 1 ? '' : 'none';
+        if (this.palette.scales.length < 2) {
+            scopeSelect.value = 'active';
+        }
+        
+        document.getElementById('codeExportPrefix').value = scopeSelect.value === 'all' ? '' : this.getActiveScale().name;
+        this.updateCodeExport();
+        document.getElementById('codeExportDialog').showModal();
+    }
+    
+    // Scales to export, each with its variable prefix and [step, color] pairs in the chosen notation.
+    // Tailwind formats always key steps 50-950, spread over that range when there aren't 11 bands.
+    // Design tokens and Figma variables nest under the prefix and scale name split on dots or slashes,
+    // so "color.brand" and "color/brand" round-trip. Figma collections hold a dark variant as the Dark
+    // mode of its light scale (darkColors) instead of a separate scale
+    getCodeExportGroups() {
+        const prefixText = document.getElementById('codeExportPrefix').value;
+        const prefix = this.slugify(prefixText);
+        const naming = this.isTailwindExport() ? 'tailwind' : document.getElementById('codeExportNaming').value;
+        const notation = this.isDesignTokensExport() || this.isFigmaExport() ? 'hex' : document.getElementById('codeExportNotation').value;
+        const toPath = text => String(text).split(/[./]/).map(part => part.trim()).filter(Boolean);
+        const exportAll = document.getElementById('codeExportScope').value === 'all' && this.palette.scales.length > 1;
+        let scales = exportAll ? this.palette.scales : [this.getActiveScale()];
+        
+        if (this.isFigmaExport()) {
+            scales = scales
+                .map(scale => (this.getScaleVariantPair(scale) || { light: scale }).light)
+                .filter((scale, index, list) => list.indexOf(scale) === index);
+        }
+        
+        return scales.map(scale => {
+            const names = naming === 'tailwind'
+                ? this.getDefaultStepNames(scale.colors.length)
+                : this.getStopNames(scale.colors, scale.stopNames);
+            const steps = scale.colors.map((color, index) => {
+                const step = naming === 'index' ? String(index) : naming === 'hundreds' ? String((index + 1) * 100) : names[index];
+                const p3 = scale.p3Colors ? scale.p3Colors[index] : null;
+                return [step, ColorUtils.formatCssColor(color, notation, p3)];
+            });
+            
+            // Exported palettes are named per scale, under the prefix when there is one
+            const name = exportAll
+                ? [prefix, this.slugify(scale.name)].filter(Boolean).join('-')
+                : prefix;
+            const path = exportAll ? [...toPath(prefixText), ...toPath(scale.name)] : toPath(prefixText);
+            const descriptions = scale.colors.map(color =>
+                `L* ${ColorUtils.hexToLab(color).l.toFixed(1)}, ${ColorUtils.getContrastRatio(color, '#ffffff').toFixed(2)}:1 on white`);
+            
+            const pair = this.isFigmaExport() ? this.getScaleVariantPair(scale) : null;
+            const darkColors = pair && pair.dark.colors.length === scale.colors.length ? pair.dark.colors : null;
+            
+            return { name: name || 'color', path: path.length > 0 ? path : ['color'], steps, descriptions, darkColors };
+        });
+    }
+    
+    isTailwindExport() {
+        return document.getElementById('codeExportFormat').value.startsWith('tailwind');
+    }
+    
+    isDesignTokensExport() {
+        return document.getElementById('codeExportFormat').value === 'dtcg';
+    }
+    
+    isFigmaExport() {
+        return document.getElementById('codeExportFormat').value === 'figma';
+    }
+    
+    // Stylesheet source for the code export: CSS custom properties, an SCSS map per scale, Less variables,
+    // a Tailwind v3 config extending theme colors, a Tailwind v4 @theme block, W3C design tokens (DTCG)
+    // or a Figma variable collection
+    buildCodeExport(format, groups) {
+        switch (format) {
+            case 'figma':
+                return JSON.stringify(this.buildFigmaVariables(groups), null, 2) + '\n';
+            case 'dtcg': {
+                const tokens = {};
+                groups.forEach(group => {
+                    const node = group.path.reduce((parent, key) => (parent[key] = parent[key] || {}), tokens);
+                    node.$type = 'color';
+                    group.steps.forEach(([step, value], index) => {
+                        node[step] = { $value: value, $description: group.descriptions[index] };
+                    });
+                });
+                return JSON.stringify(tokens, null, 2) + '\n';
+            }
+            case 'tailwind3': {
+                const key = name => /^([a-z_$][a-z0-9_$]*|\d+)$/i.test(name) ? name : `'${name}'`;
+                return [
+                    '/** @type {import(\'tailwindcss\').Config} */',
+                    'module.exports = {',
+                    '  theme: {',
+                    '    extend: {',
+                    '      colors: {',
+                    ...groups.map(group => [
+                        `        ${key(group.name)}: {`,
+                        ...group.steps.map(([step, value]) => `          ${key(step)}: '${value}',`),
+                        '        },'
+                    ].join('\n')),
+                    '      },',
+                    '    },',
+                    '  },',
+                    '};'
+                ].join('\n') + '\n';
+            }
+            case 'tailwind4':
+                return [
+                    '@theme {',
+                    groups.map(group =>
+                        group.steps.map(([step, value]) => `  --color-${group.name}-${step}: ${value};`).join('\n')
+                    ).join('\n\n'),
+                    '}'
+                ].join('\n') + '\n';
+            case 'scss': {
+                const key = step => /^\d+$/.test(step) ? step : `"${step}"`;
+                return groups.map(group => [
+                    `$${group.name}: (`,
+                    ...group.steps.map(([step, value], index) => `  ${key(step)}: ${value}${index < group.steps.length - 1 ? ',' : ''}`),
+                    ');'
+                ].join('\n')).join('\n\n') + '\n';
+            }
+            case 'less':
+                return groups.map(group =>
+                    group.steps.map(([step, value]) => `@${group.name}-${step}: ${value};`).join('\n')
+                ).join('\n\n') + '\n';
+            default:
+                return [
+                    ':root {',
+                    groups.map(group =>
+                        group.steps.map(([step, value]) => `  --${group.name}-${step}: ${value};`).join('\n')
+                    ).join('\n\n'),
+                    '}'
+                ].join('\n') + '\n';
+        }
+    }
+    
+    updateCodeExport() {
+        const format = document.getElementById('codeExportFormat').value;
+        const groups = this.getCodeExportGroups();
+        document.getElementById('codeExportOutput').value = this.buildCodeExport(format, groups);
+        
+        // Tailwind keys come from the format, not the step naming; design tokens hold hex values
+        document.getElementById('codeExportNamingRow').style.display = this.isTailwindExport() ? 'none' : '';
+        document.getElementById('codeExportNotationRow').style.display = this.isDesignTokensExport() || this.isFigmaExport() ? 'none' : '';
+        
+        const warning = document.getElementById('codeExportWarning');
+        const uneven = this.isTailwindExport() ? groups.filter(group => group.steps.length !== 11) : [];
+        if (uneven.length > 0) {
+            const counts = [...new Set(uneven.map(group => group.steps.length))].join(' and ');
+            const keys = uneven[0].steps.map(([step]) => step);
+            const missing = this.getDefaultStepNames(11).filter(step => !keys.includes(step));
+            warning.textContent = `${counts} bands don't map cleanly to Tailwind's 11 steps, so keys are spread from 50 to 950 (${keys.join(', ')}) and ${missing.join(', ')} have no color.`;
+            warning.style.display = 'block';
+        } else {
+            warning.style.display = 'none';
+        }
+    }
+    
+    // Figma variable collection in the shape of Figma's variables REST API (meta.variableCollections and
+    // meta.variables), one COLOR variable per step named group/step with RGBA floats per mode.
+    // A Dark mode is added when any exported scale has a dark variant; others repeat their light values
+    buildFigmaVariables(groups) {
+        const collectionId = 'VariableCollectionId:1:0';
+        const modes = [{ modeId: '1:0', name: 'Light' }];
+        if (groups.some(group => group.darkColors)) {
+            modes.push({ modeId: '1:1', name: 'Dark' });
+        }
+        
+        const toFigmaColor = hex => {
+            const rgb = ColorUtils.hexToRgb(hex);
+            const channel = value => parseFloat((value / 255).toFixed(6));
+            return { r: channel(rgb.r), g: channel(rgb.g), b: channel(rgb.b), a: 1 };
+        };
+        
+        const variables = {};
+        groups.forEach(group => {
+            group.steps.forEach(([step, hex], index) => {
+                const id = `VariableID:1:${Object.keys(variables).length + 1}`;
+                const valuesByMode = { '1:0': toFigmaColor(hex) };
+                if (modes.length > 1) {
+                    valuesByMode['1:1'] = toFigmaColor(group.darkColors ? group.darkColors[index] : hex);
+                }
+                
+                variables[id] = {
+                    id,
+                    name: [...group.path, step].join('/'),
+                    description: group.descriptions[index],
+                    variableCollectionId: collectionId,
+                    resolvedType: 'COLOR',
+                    valuesByMode
+                };
+            });
+        });
+        
+        return {
+            meta: {
+                variableCollections: {
+                    [collectionId]: {
+                        id: collectionId,
+                        name: 'Color Scale',
+                        modes,
+                        defaultModeId: '1:0',
+                        variableIds: Object.keys(variables)
+                    }
+                },
+                variables
+            }
+        };
+    }
+    
+    async copyCodeExport() {
+        try {
+            await navigator.clipboard.writeText(document.getElementById('codeExportOutput').value);
+            this.showCopyFeedback('codeExportCopyBtn', 'Copied!');
+        } catch (err) {
+            console.error('Failed to copy: ', err);
+            this.showCopyFeedback('codeExportCopyBtn', 'Copy failed');
+        }
+    }
+    
+    downloadCodeExport() {
+        const format = document.getElementById('codeExportFormat').value;
+        const files = {
+            css: { extension: 'css', mimeType: 'text/css' },
+            scss: { extension: 'scss', mimeType: 'text/x-scss' },
+            less: { extension: 'less', mimeType: 'text/x-less' },
+            tailwind3: { fileName: 'tailwind.config.js', mimeType: 'text/javascript' },
+            tailwind4: { extension: 'css', mimeType: 'text/css' },
+            dtcg: { extension: 'tokens.json', mimeType: 'application/json' },
+            figma: { extension: 'variables.json', mimeType: 'application/json' }
+        };
+        const { extension, fileName, mimeType } = files[format] || files.css;
+        const groups = this.getCodeExportGroups();
+        const name = groups.length > 1 ? 'palette' : groups[0].name;
+        
+        this.downloadFile(document.getElementById('codeExportOutput').value, fileName || `${name}.${extension}`, mimeType);
+        this.showCopyFeedback('codeExportDownloadBtn', 'File downloaded!');
+    }
+    
+    // Adobe Swatch Exchange file with one group per scale, named after it, and one swatch per band
+    // named by its step. Display-P3 scales write LAB swatches so wide-gamut colors survive; others RGB
+    exportAsAse() {
+        try {
+            this.captureActiveScale();
+            const scales = this.palette.scales;
+            const bytes = [];
+            
+            const u16 = (target, value) => target.push((value >> 8) & 255, value & 255);
+            const u32 = (target, value) => target.push((value >>> 24) & 255, (value >>> 16) & 255, (value >>> 8) & 255, value & 255);
+            const f32 = (target, value) => {
+                const view = new DataView(new ArrayBuffer(4));
+                view.setFloat32(0, value);
+                target.push(...new Uint8Array(view.buffer));
+            };
+            const name = (target, text) => {
+                u16(target, text.length + 1);
+                for (let i = 0; i < text.length; i++) {
+                    u16(target, text.charCodeAt(i));
+                }
+                u16(target, 0);
+            };
+            const block = (type, content) => {
+                u16(bytes, type);
+                u32(bytes, content.length);
+                bytes.push(...content);
+            };
+            
+            bytes.push(...'ASEF'.split('').map(c => c.charCodeAt(0)));
+            u16(bytes, 1);
+            u16(bytes, 0);
+            u32(bytes, scales.reduce((count, scale) => count + scale.colors.length + 2, 0));
+            
+            scales.forEach(scale => {
+                const groupStart = [];
+                name(groupStart, scale.name);
+                block(0xC001, groupStart);
+                
+                const stopNames = this.getStopNames(scale.colors, scale.stopNames);
+                scale.colors.forEach((color, index) => {
+                    const entry = [];
+                    name(entry, stopNames[index]);
+                    
+                    if (scale.p3Colors) {
+                        const lab = ColorUtils.p3ToLabD50(scale.p3Colors[index]);
+                        entry.push(...'LAB '.split('').map(c => c.charCodeAt(0)));
+                        [lab.l / 100, lab.a, lab.b].forEach(value => f32(entry, value));
+                    } else {
+                        const rgb = ColorUtils.hexToRgb(color);
+                        entry.push(...'RGB '.split('').map(c => c.charCodeAt(0)));
+                        [rgb.r, rgb.g, rgb.b].forEach(value => f32(entry, value / 255));
+                    }
+                    u16(entry, 2); // Normal (not global or spot) color
+                    block(0x0001, entry);
+                });
+                
+                block(0xC002, []);
+            });
+            
+            const fileName = scales.length > 1 ? 'palette' : (this.slugify(scales[0].name) || 'color-scale');
+            this.downloadFile(new Uint8Array(bytes), `${fileName}.ase`, 'application/octet-stream');
+            this.showCopyFeedback('exportAseBtn', 'File downloaded!');
+        } catch (error) {
+            console.error('ASE export failed:', error);
+            this.showCopyFeedback('exportAseBtn', 'Export failed');
+        }
+    }
+    
+    downloadFile(content, fileName, mimeType) {
+        // Create and trigger download
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+    
     async copyForFigma() {
         // Create SVG rectangles that Figma can interpret as editable shapes
         const width = 100; // Width per rectangle
         const height = 120; // Height to match preview
-        const textHeight = 20; // Space for hex code text
+        const textHeight = this.p3Colors ? 48 : 34; // Space for stop name, hex (and P3) code text
         const totalWidth = this.colors.length * width;
         const totalHeight = height + textHeight;
+        const stopNames = this.getStopNames();
         
         let svgContent = `<svg width="${totalWidth}" height="${totalHeight}" xmlns="http://www.w3.org/2000/svg">`;
         
@@ -1386,8 +4303,12 @@ class ColorBandEditor {
             const x = index * width;
             // Add color rectangle
             svgContent += `<rect x="${x}" y="0" width="${width}" height="${height}" fill="${color}" />`;
-            // Add hex code text below
-            svgContent += `<text x="${x + width/2}" y="${height + 15}" fill="#4a5568" font-size="12" text-anchor="middle" font-family="system-ui">${color}</text>`;
+            // Add stop name and hex code text below
+            svgContent += `<text x="${x + width/2}" y="${height + 15}" fill="#1a202c" font-size="12" font-weight="600" text-anchor="middle" font-family="system-ui">${stopNames[index]}</text>`;
+            svgContent += `<text x="${x + width/2}" y="${height + 29}" fill="#4a5568" font-size="12" text-anchor="middle" font-family="system-ui">${color}</text>`;
+            if (this.p3Colors) {
+                svgContent += `<text x="${x + width/2}" y="${height + 43}" fill="#718096" font-size="8" text-anchor="middle" font-family="system-ui">${ColorUtils.formatDisplayP3(this.p3Colors[index])}</text>`;
+            }
         });
         
         svgContent += '</svg>';
@@ -1457,6 +4378,7 @@ class ColorBandEditor {
     }
     
     async copyGraphForFigma() {
+        const positions = this.getStopPositions();
         if (this.colors.length < 2) {
             this.showCopyFeedback('copyGraphFigma', 'Need colors first');
             return;
@@ -1502,7 +4424,7 @@ class ColorBandEditor {
         const points = [];
         
         for (let i = 0; i < this.colors.length; i++) {
-            const x = margin.left + (i / (this.colors.length - 1)) * graphWidth;
+            const x = margin.left + positions[i] * graphWidth;
             const normalizedValue = (lightnessValues[i] - minLightness) / range;
             const y = height - margin.bottom - normalizedValue * graphHeight;
             
@@ -1537,6 +4459,7 @@ class ColorBandEditor {
     }
     
     async copyHueGraphForFigma() {
+        const positions = this.getStopPositions();
         if (this.colors.length < 2) {
             this.showCopyFeedback('copyHueGraphFigma', 'Need colors first');
             return;
@@ -1596,7 +4519,7 @@ class ColorBandEditor {
         const points = [];
         
         for (let i = 0; i < this.colors.length; i++) {
-            const x = margin.left + (i / (this.colors.length - 1)) * graphWidth;
+            const x = margin.left + positions[i] * graphWidth;
             const normalizedValue = (hueValues[i] - minHue) / (maxHue - minHue);
             const y = height - margin.bottom - normalizedValue * graphHeight;
             
@@ -1633,6 +4556,7 @@ class ColorBandEditor {
     }
     
     async copySaturationGraphForFigma() {
+        const positions = this.getStopPositions();
         if (this.colors.length < 2) {
             this.showCopyFeedback('copySaturationGraphFigma', 'Need colors first');
             return;
@@ -1693,7 +4617,7 @@ class ColorBandEditor {
         const points = [];
         
         for (let i = 0; i < this.colors.length; i++) {
-            const x = margin.left + (i / (this.colors.length - 1)) * graphWidth;
+            const x = margin.left + positions[i] * graphWidth;
             const normalizedValue = (saturationValues[i] - minSaturation) / (maxSaturation - minSaturation);
             const y = height - margin.bottom - normalizedValue * graphHeight;
             
@@ -1779,46 +4703,197 @@ class ColorBandEditor {
             return;
         }
         
-        const blueValues = this.colors.map(color => {
-            const rgb = ColorUtils.hexToRgb(color);
-            return rgb ? rgb.b : 0;
+        const blueValues = this.colors.map(color => {
+            const rgb = ColorUtils.hexToRgb(color);
+            return rgb ? rgb.b : 0;
+        });
+        
+        const svgContent = this.generateRGBGraphSVG(blueValues, 'blue', '#2563eb', '#1d4ed8', 'Blue Channel');
+        
+        try {
+            await navigator.clipboard.writeText(svgContent);
+            this.showCopyFeedback('copyBlueGraphFigma', 'Blue graph copied!');
+        } catch (err) {
+            console.error('Failed to copy blue graph: ', err);
+            this.showCopyFeedback('copyBlueGraphFigma', 'Copy failed');
+        }
+    }
+    
+    generateRGBGraphSVG(channelValues, channelName, strokeColor, strokeColorDark, title) {
+        const positions = this.getStopPositions();
+        const width = 440;
+        const height = 160;
+        const margin = { top: 30, right: 30, bottom: 30, left: 40 };
+        const graphWidth = width - margin.left - margin.right;
+        const graphHeight = height - margin.top - margin.bottom;
+        
+        // Find min/max for scaling
+        let minValue = Math.min(...channelValues);
+        let maxValue = Math.max(...channelValues);
+        
+        // Handle edge case where all values are the same
+        if (minValue === maxValue) {
+            minValue = Math.max(0, maxValue - 10);
+            maxValue = Math.min(255, maxValue + 10);
+        }
+        
+        // Ensure we have some range to display
+        const range = maxValue - minValue;
+        if (range < 20) {
+            const center = (minValue + maxValue) / 2;
+            minValue = Math.max(0, center - 10);
+            maxValue = Math.min(255, center + 10);
+        }
+        
+        // Start SVG
+        let svgContent = `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">`;
+        svgContent += `<rect width="100%" height="100%" fill="#f8fafc"/>`;
+        
+        // Add title
+        svgContent += `<text x="${width/2}" y="20" font-family="system-ui" font-size="14" fill="#1e293b" text-anchor="middle" font-weight="600">${title}</text>`;
+        
+        // Y-axis labels
+        const midValue = (minValue + maxValue) / 2;
+        svgContent += `<text x="25" y="40" font-family="system-ui" font-size="11" fill="#64748b" text-anchor="end">${Math.round(maxValue)}</text>`;
+        svgContent += `<text x="25" y="${margin.top + graphHeight/2 + 4}" font-family="system-ui" font-size="11" fill="#64748b" text-anchor="end">${Math.round(midValue)}</text>`;
+        svgContent += `<text x="25" y="${height - margin.bottom + 4}" font-family="system-ui" font-size="11" fill="#64748b" text-anchor="end">${Math.round(minValue)}</text>`;
+        
+        // Y-axis title
+        svgContent += `<text x="12" y="${margin.top + graphHeight/2 + 4}" font-family="system-ui" font-size="12" fill="#475569" text-anchor="middle" font-weight="500">${channelName.charAt(0).toUpperCase()}</text>`;
+        
+        // X-axis label
+        svgContent += `<text x="${width/2}" y="${height - 5}" font-family="system-ui" font-size="12" fill="#475569" text-anchor="middle" font-weight="500">Color Index</text>`;
+        
+        // Create path data
+        let pathData = '';
+        const points = [];
+        
+        for (let i = 0; i < this.colors.length; i++) {
+            const x = margin.left + positions[i] * graphWidth;
+            const normalizedValue = (channelValues[i] - minValue) / (maxValue - minValue);
+            const y = height - margin.bottom - normalizedValue * graphHeight;
+            
+            points.push({ x, y, index: i });
+            
+            if (i === 0) {
+                pathData += `M ${x} ${y}`;
+            } else {
+                pathData += ` L ${x} ${y}`;
+            }
+        }
+        
+        // Add line
+        svgContent += `<path d="${pathData}" fill="none" stroke="${strokeColor}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>`;
+        
+        // Add points
+        points.forEach(point => {
+            const isLocked = this.lockedColors.has(point.index);
+            const fillColor = isLocked ? strokeColor : '#ffffff';
+            const strokeColorFinal = isLocked ? strokeColorDark : strokeColor;
+            
+            svgContent += `<circle cx="${point.x}" cy="${point.y}" r="4" fill="${fillColor}" stroke="${strokeColorFinal}" stroke-width="2"/>`;
+        });
+        
+        svgContent += '</svg>';
+        return svgContent;
+    }
+    
+    async copyLabLightnessGraphForFigma() {
+        if (this.colors.length < 2) {
+            this.showCopyFeedback('copyLabLightnessGraphFigma', 'Need colors first');
+            return;
+        }
+        
+        const space = document.getElementById('labLightnessSpace').value;
+        const values = this.getPerceptualValues(this.colors, space).map(value => value.l);
+        const scale = this.getValueGraphScale(values, 0, 100, 10);
+        const title = space === 'oklab' ? 'OKLab Lightness' : 'CIELAB Lightness';
+        
+        const svgContent = this.generateValueGraphSVG(values, scale, space === 'oklab' ? 'L' : 'L*', title, value => value.toFixed(1));
+        
+        try {
+            await navigator.clipboard.writeText(svgContent);
+            this.showCopyFeedback('copyLabLightnessGraphFigma', 'Lightness graph copied!');
+        } catch (err) {
+            console.error('Failed to copy lightness graph: ', err);
+            this.showCopyFeedback('copyLabLightnessGraphFigma', 'Copy failed');
+        }
+    }
+    
+    async copyChromaGraphForFigma() {
+        if (this.colors.length < 2) {
+            this.showCopyFeedback('copyChromaGraphFigma', 'Need colors first');
+            return;
+        }
+        
+        const space = document.getElementById('chromaSpace').value;
+        const isOklab = space === 'oklab';
+        const values = this.getPerceptualValues(this.colors, space).map(value => value.c);
+        const scale = this.getValueGraphScale(values, 0, isOklab ? 0.5 : 150, isOklab ? 0.02 : 5);
+        const format = value => isOklab ? value.toFixed(3) : value.toFixed(1);
+        
+        const svgContent = this.generateValueGraphSVG(values, scale, 'C', isOklab ? 'OKLCH Chroma' : 'LCh Chroma', format);
+        
+        try {
+            await navigator.clipboard.writeText(svgContent);
+            this.showCopyFeedback('copyChromaGraphFigma', 'Chroma graph copied!');
+        } catch (err) {
+            console.error('Failed to copy chroma graph: ', err);
+            this.showCopyFeedback('copyChromaGraphFigma', 'Copy failed');
+        }
+    }
+    
+    async copyAbPlaneGraphForFigma() {
+        if (this.colors.length < 2) {
+            this.showCopyFeedback('copyAbPlaneGraphFigma', 'Need colors first');
+            return;
+        }
+        
+        const space = document.getElementById('abPlaneSpace').value;
+        const values = this.getPerceptualValues(this.colors, space);
+        const layout = this.getAbPlaneLayout(values, space);
+        const [aLabel, bLabel] = space === 'oklab' ? ['a', 'b'] : ['a*', 'b*'];
+        
+        let svgContent = `<svg width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}" xmlns="http://www.w3.org/2000/svg">`;
+        svgContent += `<rect width="100%" height="100%" fill="#f8fafc"/>`;
+        
+        // Neutral axes and labels
+        svgContent += `<line x1="${layout.margin.left}" y1="${layout.centerY}" x2="${layout.width - layout.margin.right}" y2="${layout.centerY}" stroke="#cbd5e0" stroke-width="1"/>`;
+        svgContent += `<line x1="${layout.centerX}" y1="${layout.margin.top}" x2="${layout.centerX}" y2="${layout.height - layout.margin.bottom}" stroke="#cbd5e0" stroke-width="1"/>`;
+        svgContent += `<text x="${layout.width/2}" y="${layout.height - 5}" font-family="system-ui" font-size="12" fill="#475569" text-anchor="middle" font-weight="500">${aLabel}</text>`;
+        svgContent += `<text x="12" y="${layout.centerY + 4}" font-family="system-ui" font-size="12" fill="#475569" text-anchor="middle" font-weight="500">${bLabel}</text>`;
+        
+        // Scale path
+        const pathData = values.map((value, i) => `${i === 0 ? 'M' : 'L'} ${layout.toX(value.a)} ${layout.toY(value.b)}`).join(' ');
+        svgContent += `<path d="${pathData}" fill="none" stroke="#4a5568" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>`;
+        
+        // Points filled with their band color
+        values.forEach((value, index) => {
+            const strokeColor = this.lockedColors.has(index) ? '#1a202c' : '#4a5568';
+            const strokeWidth = this.lockedColors.has(index) ? 3 : 2;
+            svgContent += `<circle cx="${layout.toX(value.a)}" cy="${layout.toY(value.b)}" r="4" fill="${this.colors[index]}" stroke="${strokeColor}" stroke-width="${strokeWidth}"/>`;
         });
         
-        const svgContent = this.generateRGBGraphSVG(blueValues, 'blue', '#2563eb', '#1d4ed8', 'Blue Channel');
+        svgContent += '</svg>';
         
         try {
             await navigator.clipboard.writeText(svgContent);
-            this.showCopyFeedback('copyBlueGraphFigma', 'Blue graph copied!');
+            this.showCopyFeedback('copyAbPlaneGraphFigma', 'a/b plane copied!');
         } catch (err) {
-            console.error('Failed to copy blue graph: ', err);
-            this.showCopyFeedback('copyBlueGraphFigma', 'Copy failed');
+            console.error('Failed to copy a/b plane: ', err);
+            this.showCopyFeedback('copyAbPlaneGraphFigma', 'Copy failed');
         }
     }
     
-    generateRGBGraphSVG(channelValues, channelName, strokeColor, strokeColorDark, title) {
+    generateValueGraphSVG(values, scale, axisTitle, title, format) {
+        const positions = this.getStopPositions();
         const width = 440;
         const height = 160;
         const margin = { top: 30, right: 30, bottom: 30, left: 40 };
         const graphWidth = width - margin.left - margin.right;
         const graphHeight = height - margin.top - margin.bottom;
-        
-        // Find min/max for scaling
-        let minValue = Math.min(...channelValues);
-        let maxValue = Math.max(...channelValues);
-        
-        // Handle edge case where all values are the same
-        if (minValue === maxValue) {
-            minValue = Math.max(0, maxValue - 10);
-            maxValue = Math.min(255, maxValue + 10);
-        }
-        
-        // Ensure we have some range to display
-        const range = maxValue - minValue;
-        if (range < 20) {
-            const center = (minValue + maxValue) / 2;
-            minValue = Math.max(0, center - 10);
-            maxValue = Math.min(255, center + 10);
-        }
+        const { min: minValue, max: maxValue } = scale;
+        const range = maxValue - minValue || 1;
         
         // Start SVG
         let svgContent = `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">`;
@@ -1828,45 +4903,30 @@ class ColorBandEditor {
         svgContent += `<text x="${width/2}" y="20" font-family="system-ui" font-size="14" fill="#1e293b" text-anchor="middle" font-weight="600">${title}</text>`;
         
         // Y-axis labels
-        const midValue = (minValue + maxValue) / 2;
-        svgContent += `<text x="25" y="40" font-family="system-ui" font-size="11" fill="#64748b" text-anchor="end">${Math.round(maxValue)}</text>`;
-        svgContent += `<text x="25" y="${margin.top + graphHeight/2 + 4}" font-family="system-ui" font-size="11" fill="#64748b" text-anchor="end">${Math.round(midValue)}</text>`;
-        svgContent += `<text x="25" y="${height - margin.bottom + 4}" font-family="system-ui" font-size="11" fill="#64748b" text-anchor="end">${Math.round(minValue)}</text>`;
-        
-        // Y-axis title
-        svgContent += `<text x="12" y="${margin.top + graphHeight/2 + 4}" font-family="system-ui" font-size="12" fill="#475569" text-anchor="middle" font-weight="500">${channelName.charAt(0).toUpperCase()}</text>`;
+        svgContent += `<text x="25" y="40" font-family="system-ui" font-size="11" fill="#64748b" text-anchor="end">${format(maxValue)}</text>`;
+        svgContent += `<text x="25" y="${margin.top + graphHeight/2 + 4}" font-family="system-ui" font-size="11" fill="#64748b" text-anchor="end">${format((minValue + maxValue) / 2)}</text>`;
+        svgContent += `<text x="25" y="${height - margin.bottom + 4}" font-family="system-ui" font-size="11" fill="#64748b" text-anchor="end">${format(minValue)}</text>`;
         
-        // X-axis label
+        // Axis titles
+        svgContent += `<text x="12" y="${margin.top + graphHeight/2 + 4}" font-family="system-ui" font-size="12" fill="#475569" text-anchor="middle" font-weight="500">${axisTitle}</text>`;
         svgContent += `<text x="${width/2}" y="${height - 5}" font-family="system-ui" font-size="12" fill="#475569" text-anchor="middle" font-weight="500">Color Index</text>`;
         
         // Create path data
-        let pathData = '';
-        const points = [];
-        
-        for (let i = 0; i < this.colors.length; i++) {
-            const x = margin.left + (i / (this.colors.length - 1)) * graphWidth;
-            const normalizedValue = (channelValues[i] - minValue) / (maxValue - minValue);
-            const y = height - margin.bottom - normalizedValue * graphHeight;
-            
-            points.push({ x, y, index: i });
-            
-            if (i === 0) {
-                pathData += `M ${x} ${y}`;
-            } else {
-                pathData += ` L ${x} ${y}`;
-            }
-        }
+        const points = values.map((value, i) => ({
+            x: margin.left + positions[i] * graphWidth,
+            y: height - margin.bottom - ((value - minValue) / range) * graphHeight,
+            index: i
+        }));
+        const pathData = points.map((point, i) => `${i === 0 ? 'M' : 'L'} ${point.x} ${point.y}`).join(' ');
         
         // Add line
-        svgContent += `<path d="${pathData}" fill="none" stroke="${strokeColor}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>`;
+        svgContent += `<path d="${pathData}" fill="none" stroke="#4a5568" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>`;
         
         // Add points
         points.forEach(point => {
-            const isLocked = this.lockedColors.has(point.index);
-            const fillColor = isLocked ? strokeColor : '#ffffff';
-            const strokeColorFinal = isLocked ? strokeColorDark : strokeColor;
-            
-            svgContent += `<circle cx="${point.x}" cy="${point.y}" r="4" fill="${fillColor}" stroke="${strokeColorFinal}" stroke-width="2"/>`;
+            const fillColor = this.lockedColors.has(point.index) ? '#2d3748' : '#ffffff';
+            const strokeColor = this.lockedColors.has(point.index) ? '#1a202c' : '#4a5568';
+            svgContent += `<circle cx="${point.x}" cy="${point.y}" r="4" fill="${fillColor}" stroke="${strokeColor}" stroke-width="2"/>`;
         });
         
         svgContent += '</svg>';
@@ -1874,6 +4934,7 @@ class ColorBandEditor {
     }
     
     async copyAllForFigma() {
+        const positions = this.getStopPositions();
         if (this.colors.length < 2) {
             this.showCopyFeedback('copyAllForFigma', 'Need colors first');
             return;
@@ -1898,13 +4959,20 @@ class ColorBandEditor {
         // Color bands section (start higher up without header)
         const colorBandY = 30;
         const bandWidth = (frameWidth - margin * 2) / this.colors.length;
+        const stopNames = this.getStopNames();
         
         this.colors.forEach((color, index) => {
             const x = margin + index * bandWidth;
             svgContent += `<rect x="${x}" y="${colorBandY}" width="${bandWidth}" height="${colorBandHeight}" fill="${color}" stroke="none"/>`;
             
+            // Add stop names above the bands
+            svgContent += `<text x="${x + bandWidth/2}" y="${colorBandY - 8}" font-family="system-ui" font-size="10" font-weight="500" fill="#334155" text-anchor="middle">${stopNames[index]}</text>`;
+            
             // Add color labels
             svgContent += `<text x="${x + bandWidth/2}" y="${colorBandY + colorBandHeight + 15}" font-family="system-ui" font-size="10" fill="#64748b" text-anchor="middle">${color}</text>`;
+            if (this.p3Colors) {
+                svgContent += `<text x="${x + bandWidth/2}" y="${colorBandY + colorBandHeight + 27}" font-family="system-ui" font-size="7" fill="#94a3b8" text-anchor="middle">${ColorUtils.formatDisplayP3(this.p3Colors[index]).replace('color(display-p3 ', 'p3(')}</text>`;
+            }
             
             // Add audit overlays if enabled
             const contrastToggle = document.getElementById('contrastRatio');
@@ -1913,26 +4981,15 @@ class ColorBandEditor {
             
             // AA Contrast Ratio overlay
             if (contrastToggle && contrastToggle.checked) {
-                const blackContrast = this.getContrastRatio(color, '#000000');
-                const whiteContrast = this.getContrastRatio(color, '#ffffff');
-                const blackAA = blackContrast >= 4.5;
-                const whiteAA = whiteContrast >= 4.5;
+                const textY = colorBandY + colorBandHeight - 10;
+                let textX = x + 8;
                 
-                if (blackAA || whiteAA) {
-                    const textY = colorBandY + colorBandHeight - 10;
-                    
-                    if (blackAA && whiteAA) {
-                        // Both pass - show both
-                        svgContent += `<text x="${x + 8}" y="${textY}" font-family="SF Mono, Monaco, monospace" font-size="12" font-weight="500" fill="#000000">Aa</text>`;
-                        svgContent += `<text x="${x + 25}" y="${textY}" font-family="SF Mono, Monaco, monospace" font-size="12" font-weight="500" fill="#ffffff" stroke="#000000" stroke-width="0.5">Aa</text>`;
-                    } else {
-                        // Only one passes
-                        const bestColor = this.getBestTextColor(color);
-                        const strokeColor = bestColor === '#ffffff' ? '#000000' : 'none';
-                        const strokeWidth = bestColor === '#ffffff' ? '0.5' : '0';
-                        svgContent += `<text x="${x + 8}" y="${textY}" font-family="SF Mono, Monaco, monospace" font-size="12" font-weight="500" fill="${bestColor}" stroke="${strokeColor}" stroke-width="${strokeWidth}">Aa</text>`;
-                    }
-                }
+                this.getContrastMarkers(color).forEach(marker => {
+                    const strokeColor = marker.color === '#ffffff' ? '#000000' : 'none';
+                    const strokeWidth = marker.color === '#ffffff' ? '0.5' : '0';
+                    svgContent += `<text x="${textX}" y="${textY}" font-family="SF Mono, Monaco, monospace" font-size="12" font-weight="500" fill="${marker.color}" stroke="${strokeColor}" stroke-width="${strokeWidth}">${marker.text}</text>`;
+                    textX += marker.text.length * 7 + 3;
+                });
             }
             
             // Delta E overlay
@@ -1941,7 +4998,7 @@ class ColorBandEditor {
                 const color2 = this.colors[index + 1];
                 
                 if (typeof ColorUtils.calculateDeltaE === 'function') {
-                    const deltaE = ColorUtils.calculateDeltaE(color1, color2);
+                    const deltaE = ColorUtils.calculateDeltaE(color1, color2, this.getDeltaEFormula());
                     const bestColor = this.getBestTextColor(color1);
                     const strokeColor = bestColor === '#ffffff' ? '#000000' : 'none';
                     const strokeWidth = bestColor === '#ffffff' ? '0.5' : '0';
@@ -1977,7 +5034,7 @@ class ColorBandEditor {
             let pathData = '';
             
             for (let i = 0; i < values.length; i++) {
-                const x = (i / (values.length - 1)) * (graphWidth - 80) + 40;
+                const x = positions[i] * (graphWidth - 80) + 40;
                 const normalizedValue = (values[i] - minVal) / (maxVal - minVal);
                 const y = graphHeight - 30 - normalizedValue * (graphHeight - 60);
                 
@@ -2150,17 +5207,19 @@ class ColorBandEditor {
                 return;
             }
 
-            if (colors.length > 20) {
-                const proceed = confirm(`Found ${colors.length} colors. This will be limited to 20 colors (the maximum). Continue?`);
+            if (colors.length > this.maxBandCount) {
+                const proceed = confirm(`Found ${colors.length} colors. This will be limited to ${this.maxBandCount} colors (the maximum). Continue?`);
                 if (!proceed) return;
-                colors.splice(20); // Limit to 20 colors
+                colors.splice(this.maxBandCount);
             }
 
             // Update the application with imported colors
             this.bandCount = colors.length;
             this.colors = [...colors];
             this.originalColors = [...colors];
+            this.stopNames = null;
             this.lockedColors.clear(); // Clear all locks when importing
+            this.outOfGamut.clear();
 
             // Update UI
             document.getElementById('bandCount').value = this.bandCount;
@@ -2173,6 +5232,7 @@ class ColorBandEditor {
             this.drawRedChannelGraph();
             this.drawGreenChannelGraph();
             this.drawBlueChannelGraph();
+            this.drawPerceptualGraphs();
             this.updateURL();
             this.saveToHistory(`Imported ${colors.length} colors from clipboard`);
 
@@ -2368,15 +5428,46 @@ class ColorBandEditor {
         if (!file) return;
         
         try {
-            const fileText = await file.text();
-            let colors = [];
-            
             // Determine file type and parse accordingly
             const fileName = file.name.toLowerCase();
             const isYaml = fileName.endsWith('.yaml') || fileName.endsWith('.yml');
+            const isAse = fileName.endsWith('.ase');
+            
+            const fileText = isAse ? '' : await file.text();
+            let colors = [];
+            let tokenGroup = null;
             
-            if (isYaml) {
+            if (isAse) {
+                const groups = this.parseAseFile(await file.arrayBuffer());
+                tokenGroup = groups.length > 0 ? this.pickColorGroup(groups) : null;
+                if (groups.length > 0 && !tokenGroup) {
+                    document.getElementById('fileInput').value = '';
+                    return;
+                }
+                colors = tokenGroup ? [...tokenGroup.colors] : [];
+            } else if (isYaml) {
                 colors = this.parseColorsFromYAML(fileText);
+            } else if (this.isPaletteFile(fileText)) {
+                const count = this.importPalette(JSON.parse(fileText).scales);
+                if (count === 0) {
+                    alert('No valid scales found in the palette file.');
+                }
+                document.getElementById('fileInput').value = '';
+                return;
+            } else if (this.isFigmaVariablesFile(fileText)) {
+                tokenGroup = this.pickColorGroup(this.getFigmaVariableGroups(JSON.parse(fileText)));
+                if (!tokenGroup) {
+                    document.getElementById('fileInput').value = '';
+                    return;
+                }
+                colors = [...tokenGroup.colors];
+            } else if (this.isDesignTokensFile(fileText)) {
+                tokenGroup = this.pickColorGroup(this.getDesignTokenGroups(JSON.parse(fileText)));
+                if (!tokenGroup) {
+                    document.getElementById('fileInput').value = '';
+                    return;
+                }
+                colors = [...tokenGroup.colors];
             } else {
                 // Assume JSON
                 colors = this.parseColorsFromJSON(fileText);
@@ -2387,17 +5478,30 @@ class ColorBandEditor {
                 return;
             }
             
-            if (colors.length > 20) {
-                const proceed = confirm(`Found ${colors.length} colors. This will be limited to 20 colors (the maximum). Continue?`);
+            if (colors.length > this.maxBandCount) {
+                const proceed = confirm(`Found ${colors.length} colors. This will be limited to ${this.maxBandCount} colors (the maximum). Continue?`);
                 if (!proceed) return;
-                colors.splice(20);
+                colors.splice(this.maxBandCount);
             }
             
             // Update the application with imported colors
             this.bandCount = colors.length;
             this.colors = [...colors];
             this.originalColors = [...colors];
+            this.stopNames = isYaml || isAse ? null : this.parseStopNamesFromJSON(fileText, colors);
+            if (!isYaml && !isAse) {
+                this.applyStopSpacingFromJSON(fileText, colors);
+            }
+            
+            // Token names become step names and the group path names the scale, so re-export matches
+            if (tokenGroup) {
+                this.stopNames = this.parseStopNames(this.sanitizeStopNames(tokenGroup.names.slice(0, colors.length)), colors.length);
+                if (tokenGroup.path.length > 0) {
+                    this.getActiveScale().name = tokenGroup.path.join(tokenGroup.separator || '.');
+                }
+            }
             this.lockedColors.clear();
+            this.outOfGamut.clear();
             
             // Update UI
             document.getElementById('bandCount').value = this.bandCount;
@@ -2410,7 +5514,19 @@ class ColorBandEditor {
             this.drawRedChannelGraph();
             this.drawGreenChannelGraph();
             this.drawBlueChannelGraph();
+            this.drawPerceptualGraphs();
             this.updateURL();
+            
+            // A Figma Dark mode comes back as the scale's dark variant
+            if (tokenGroup && tokenGroup.darkColors && !this.getActiveScale().variant) {
+                this.captureActiveScale();
+                const background = this.validateHex(document.getElementById('darkBackground').value.trim()) || '#111111';
+                this.setDarkVariant(this.getActiveScale(), tokenGroup.darkColors.slice(0, colors.length), background);
+                this.renderPaletteTabs();
+                this.updatePaletteOverview();
+                this.updateVariantPreview();
+            }
+            
             this.saveToHistory(`Imported ${colors.length} colors from ${file.name}`);
             
             // Show success feedback
@@ -2437,6 +5553,292 @@ class ColorBandEditor {
         document.getElementById('fileInput').value = '';
     }
     
+    // Stop names carried by imported JSON: an exported stopNames array, or the keys of a flat
+    // { name: color } object whose colors match the imported ones
+    parseStopNamesFromJSON(jsonText, colors) {
+        try {
+            const data = JSON.parse(jsonText);
+            if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+            
+            if (Array.isArray(data.stopNames)) {
+                return this.parseStopNames(data.stopNames, colors.length);
+            }
+            
+            const entries = Object.entries(data);
+            const matches = entries.length === colors.length && entries.every(([, value], index) =>
+                typeof value === 'string' && (this.normalizeColor(value) || '').toLowerCase() === colors[index].toLowerCase());
+            return matches ? this.parseStopNames(entries.map(([key]) => key), colors.length) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    // Band positions carried by an exported file (stopSpacing and custom stopPositions)
+    applyStopSpacingFromJSON(jsonText, colors) {
+        try {
+            const data = JSON.parse(jsonText);
+            if (!data || !['names', 'custom'].includes(data.stopSpacing)) return;
+            
+            this.stopSpacing = data.stopSpacing;
+            this.stopPositions = this.normalizeStopPositions(data.stopPositions, colors.length) ? [...data.stopPositions] : null;
+            document.getElementById('stopSpacing').value = this.stopSpacing;
+        } catch (error) {
+            console.warn('Invalid band positions in file:', error);
+        }
+    }
+    
+    isPaletteFile(jsonText) {
+        try {
+            const data = JSON.parse(jsonText);
+            return Boolean(data && Array.isArray(data.scales) && data.scales.length > 0);
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    // W3C Design Tokens (DTCG) files hold tokens as objects with a $value
+    isDesignTokensFile(jsonText) {
+        try {
+            return jsonText.includes('"$value"') && this.getDesignTokenGroups(JSON.parse(jsonText)).length > 0;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    // Groups of color tokens in a DTCG tree, each with its path, token names and colors. $type is
+    // inherited from parent groups and aliases ({group.token}) resolve against the whole file.
+    // Groups with fewer than three colors can't be a scale and are left out
+    getDesignTokenGroups(data) {
+        const groups = [];
+        
+        const resolve = (value, depth = 0) => {
+            if (typeof value === 'string' && /^\{[^{}]+\}$/.test(value.trim())) {
+                const target = value.trim().slice(1, -1).split('.')
+                    .reduce((node, key) => node && typeof node === 'object' ? node[key] : undefined, data);
+                return depth < 10 && target && typeof target === 'object' && '$value' in target
+                    ? resolve(target.$value, depth + 1)
+                    : null;
+            }
+            return this.parseDesignTokenColor(value);
+        };
+        
+        const walk = (node, path, inheritedType) => {
+            const type = node.$type || inheritedType;
+            const names = [];
+            const colors = [];
+            
+            Object.entries(node).forEach(([key, child]) => {
+                if (key.startsWith('$') || !child || typeof child !== 'object' || Array.isArray(child)) return;
+                
+                if ('$value' in child) {
+                    const childType = child.$type || type;
+                    const color = !childType || childType === 'color' ? resolve(child.$value) : null;
+                    if (color) {
+                        names.push(key);
+                        colors.push(color);
+                    }
+                } else {
+                    walk(child, [...path, key], type);
+                }
+            });
+            
+            if (colors.length >= 3) {
+                groups.push({ path, names, colors });
+            }
+        };
+        
+        if (data && typeof data === 'object' && !Array.isArray(data)) {
+            walk(data, [], null);
+        }
+        return groups;
+    }
+    
+    // A DTCG color $value: a hex string (alpha dropped) or a { colorSpace, components, hex } object
+    parseDesignTokenColor(value) {
+        if (typeof value === 'string') {
+            const hex = value.trim();
+            return this.normalizeColor(/^#[0-9a-f]{8}$/i.test(hex) ? hex.slice(0, 7) : hex);
+        }
+        if (!value || typeof value !== 'object') return null;
+        
+        if (typeof value.hex === 'string') {
+            return this.parseDesignTokenColor(value.hex);
+        }
+        if (value.colorSpace === 'srgb' && Array.isArray(value.components) && value.components.length === 3) {
+            const [r, g, b] = value.components.map(c => Math.max(0, Math.min(255, Math.round(c * 255))));
+            return ColorUtils.rgbToHex(r, g, b).toUpperCase();
+        }
+        return null;
+    }
+    
+    // Adobe Swatch Exchange (binary, big-endian): "ASEF", version 1.0, a block count, then blocks of
+    // group start (0xC001), group end (0xC002) or color entry (0x0001). Names are length-prefixed
+    // UTF-16 with a null terminator; colors are a four-letter model and float32 channels.
+    // Returns groups of three or more colors, with swatches outside any group gathered first
+    parseAseFile(buffer) {
+        const view = new DataView(buffer);
+        const signature = buffer.byteLength >= 12 ? String.fromCharCode(...new Uint8Array(buffer, 0, 4)) : '';
+        if (signature !== 'ASEF') {
+            throw new Error('Not an Adobe Swatch Exchange file');
+        }
+        
+        const readName = (at) => {
+            const length = view.getUint16(at);
+            let name = '';
+            for (let i = 0; i < length - 1; i++) {
+                name += String.fromCharCode(view.getUint16(at + 2 + i * 2));
+            }
+            return { name, size: 2 + length * 2 };
+        };
+        
+        const toHex = (model, at) => {
+            const channel = i => view.getFloat32(at + i * 4);
+            const to255 = value => Math.max(0, Math.min(255, Math.round(value * 255)));
+            switch (model) {
+                case 'RGB ':
+                    return ColorUtils.rgbToHex(to255(channel(0)), to255(channel(1)), to255(channel(2)));
+                case 'LAB ': {
+                    const rgb = ColorUtils.labD50ToRgb(channel(0) * 100, channel(1), channel(2));
+                    return ColorUtils.rgbToHex(rgb.r, rgb.g, rgb.b);
+                }
+                case 'CMYK': {
+                    const k = channel(3);
+                    return ColorUtils.rgbToHex(...[0, 1, 2].map(i => to255((1 - channel(i)) * (1 - k))));
+                }
+                case 'Gray':
+                    return ColorUtils.rgbToHex(to255(channel(0)), to255(channel(0)), to255(channel(0)));
+                default:
+                    return null;
+            }
+        };
+        
+        const loose = { path: [], names: [], colors: [] };
+        const groups = [loose];
+        let current = loose;
+        let offset = 12;
+        
+        for (let i = 0; i < view.getUint32(8) && offset + 6 <= buffer.byteLength; i++) {
+            const type = view.getUint16(offset);
+            const start = offset + 6;
+            
+            if (type === 0xC001) {
+                current = { path: [readName(start).name], names: [], colors: [] };
+                groups.push(current);
+            } else if (type === 0xC002) {
+                current = loose;
+            } else if (type === 0x0001) {
+                const { name, size } = readName(start);
+                const model = String.fromCharCode(...new Uint8Array(buffer, start + size, 4));
+                const hex = toHex(model, start + size + 4);
+                if (hex) {
+                    current.names.push(name);
+                    current.colors.push(hex.toUpperCase());
+                }
+            }
+            
+            offset = start + view.getUint32(offset + 2);
+        }
+        
+        return groups
+            .filter(group => group.colors.length >= 3)
+            .map(group => ({ ...group, label: group.path[0] || '(ungrouped swatches)' }));
+    }
+    
+    // Figma variables JSON: the REST API's meta.variableCollections and meta.variables, or the same
+    // two maps at the top level
+    isFigmaVariablesFile(jsonText) {
+        try {
+            const data = JSON.parse(jsonText);
+            const source = data && data.meta ? data.meta : data;
+            return Boolean(source && source.variableCollections && source.variables);
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    // Groups of COLOR variables per collection and name path (brand/500 is step 500 of brand), with the
+    // Light (or default) mode as colors and a mode named Dark as darkColors. Aliases resolve in the same mode
+    getFigmaVariableGroups(data) {
+        const source = data.meta || data;
+        const variables = Array.isArray(source.variables)
+            ? Object.fromEntries(source.variables.map(variable => [variable.id, variable]))
+            : source.variables;
+        const collections = Array.isArray(source.variableCollections)
+            ? source.variableCollections
+            : Object.values(source.variableCollections);
+        
+        const toHex = value => value && typeof value.r === 'number'
+            ? ColorUtils.rgbToHex(...[value.r, value.g, value.b].map(c => Math.max(0, Math.min(255, Math.round(c * 255))))).toUpperCase()
+            : null;
+        const resolve = (value, modeId, depth = 0) => {
+            if (value && value.type === 'VARIABLE_ALIAS') {
+                const target = variables[value.id];
+                if (!target || depth >= 10) return null;
+                const targetValue = target.valuesByMode[modeId] || Object.values(target.valuesByMode)[0];
+                return resolve(targetValue, modeId, depth + 1);
+            }
+            return toHex(value);
+        };
+        
+        const groups = [];
+        collections.forEach(collection => {
+            const modes = collection.modes || [];
+            const lightMode = modes.find(mode => /light/i.test(mode.name)) ||
+                modes.find(mode => mode.modeId === collection.defaultModeId) || modes[0];
+            const darkMode = modes.find(mode => /dark/i.test(mode.name) && mode !== lightMode);
+            if (!lightMode) return;
+            
+            const byPath = new Map();
+            Object.values(variables)
+                .filter(variable => variable.variableCollectionId === collection.id && variable.resolvedType === 'COLOR')
+                .forEach(variable => {
+                    const parts = variable.name.split('/');
+                    const key = parts.slice(0, -1).join('/');
+                    const color = resolve(variable.valuesByMode[lightMode.modeId], lightMode.modeId);
+                    if (!color) return;
+                    
+                    if (!byPath.has(key)) {
+                        byPath.set(key, { path: parts.slice(0, -1), names: [], colors: [], darkColors: [] });
+                    }
+                    const group = byPath.get(key);
+                    group.names.push(parts[parts.length - 1]);
+                    group.colors.push(color);
+                    group.darkColors.push(darkMode ? resolve(variable.valuesByMode[darkMode.modeId], darkMode.modeId) : null);
+                });
+            
+            byPath.forEach((group, key) => {
+                if (group.colors.length < 3) return;
+                groups.push({
+                    ...group,
+                    separator: '/',
+                    label: `${collection.name} / ${key || '(top level)'}`,
+                    darkColors: group.darkColors.every(Boolean) ? group.darkColors : null
+                });
+            });
+        });
+        
+        return groups;
+    }
+    
+    // Ask which color group of a token or variables file to use when it has several
+    pickColorGroup(groups) {
+        if (groups.length === 0) return null;
+        if (groups.length === 1) return groups[0];
+        
+        const label = group => group.label || group.path.join('.') || '(top level)';
+        const list = groups.map((group, index) => `${index + 1}. ${label(group)} - ${group.colors.length} colors`).join('\n');
+        const answer = prompt(`This file has ${groups.length} color groups. Which one should become the scale?\n${list}`, '1');
+        if (answer === null) return null;
+        
+        const byNumber = groups[parseInt(answer, 10) - 1];
+        const byPath = groups.find(group => label(group) === answer.trim());
+        if (!byNumber && !byPath) {
+            alert(`No token group matches "${answer}".`);
+            return null;
+        }
+        return byNumber || byPath;
+    }
+    
     parseColorsFromJSON(jsonText) {
         try {
             const data = JSON.parse(jsonText);
@@ -2546,6 +5948,12 @@ class ColorBandEditor {
             colors: [...this.colors],
             lockedColors: new Set(this.lockedColors),
             bandCount: this.bandCount,
+            p3Colors: this.p3Colors ? this.p3Colors.map(p3 => ({ ...p3 })) : null,
+            stopNames: this.stopNames ? [...this.stopNames] : null,
+            stopSpacing: this.stopSpacing,
+            stopPositions: this.stopPositions ? [...this.stopPositions] : null,
+            scaleId: this.getActiveScale().id,
+            scaleName: this.getActiveScale().name,
             timestamp: new Date(),
             action: action
         };
@@ -2554,7 +5962,12 @@ class ColorBandEditor {
         if (skipSimilar && this.history.length > 0) {
             const lastState = this.history[this.history.length - 1];
             if (JSON.stringify(lastState.colors) === JSON.stringify(state.colors) &&
-                lastState.bandCount === state.bandCount) {
+                JSON.stringify(lastState.p3Colors || null) === JSON.stringify(state.p3Colors) &&
+                lastState.bandCount === state.bandCount &&
+                JSON.stringify(lastState.stopNames || null) === JSON.stringify(state.stopNames) &&
+                (lastState.stopSpacing || 'even') === state.stopSpacing &&
+                JSON.stringify(lastState.stopPositions || null) === JSON.stringify(state.stopPositions) &&
+                lastState.scaleId === state.scaleId) {
                 return;
             }
         }
@@ -2568,6 +5981,8 @@ class ColorBandEditor {
         
         this.updateHistoryUI();
         this.saveHistoryToStorage();
+        this.savePaletteToStorage();
+        this.schedulePaletteRefresh();
     }
     
     undo() {
@@ -2602,9 +6017,24 @@ class ColorBandEditor {
     }
     
     restoreState(state) {
+        // States from another scale in the palette switch back to that scale first
+        const scaleIndex = this.palette.scales.findIndex(scale => scale.id === state.scaleId);
+        if (scaleIndex !== -1 && scaleIndex !== this.palette.activeIndex) {
+            this.captureActiveScale();
+            this.loadScale(scaleIndex);
+        }
+        
         this.colors = [...state.colors];
         this.lockedColors = new Set(state.lockedColors);
         this.bandCount = state.bandCount;
+        this.outOfGamut.clear();
+        this.p3Colors = state.p3Colors ? state.p3Colors.map(p3 => ({ ...p3 })) : null;
+        this.stopNames = state.stopNames ? [...state.stopNames] : null;
+        this.stopSpacing = state.stopSpacing || 'even';
+        this.stopPositions = state.stopPositions ? [...state.stopPositions] : null;
+        document.getElementById('stopSpacing').value = this.stopSpacing;
+        this.colorGamut = this.p3Colors ? 'display-p3' : 'srgb';
+        document.getElementById('colorGamut').value = this.colorGamut;
         
         // Update UI elements
         document.getElementById('bandCount').value = this.bandCount;
@@ -2618,7 +6048,10 @@ class ColorBandEditor {
         this.drawRedChannelGraph();
         this.drawGreenChannelGraph();
         this.drawBlueChannelGraph();
+        this.drawPerceptualGraphs();
         this.updateURL();
+        this.savePaletteToStorage();
+        this.schedulePaletteRefresh();
     }
     
     toggleHistory() {
@@ -2672,7 +6105,7 @@ class ColorBandEditor {
                     </svg>
                 </div>
                 <div class="history-info">
-                    <div class="history-label">${state.action}</div>
+                    <div class="history-label">${this.escapeHtml(this.palette.scales.length > 1 && state.scaleName ? `${state.scaleName}: ${state.action}` : state.action)}</div>
                     <div class="history-timestamp">${timeAgo}</div>
                     <div class="history-colors">
                         ${state.colors.map(color => 
@@ -2763,16 +6196,38 @@ class ColorBandEditor {
         const tailwindToggle = document.getElementById('tailwindComparison');
         const deltaEToggle = document.getElementById('deltaEComparison');
         const lightnessToggle = document.getElementById('lightnessComparison');
+        const deltaEControl = document.getElementById('deltaEControl');
+        const deltaEFormulaSelect = document.getElementById('deltaEFormula');
         const tailwindControl = document.getElementById('tailwindControl');
         const tailwindSelect = document.getElementById('tailwindColorSelect');
         const tailwindContainer = document.getElementById('tailwindComparisonContainer');
         
         // Contrast ratio toggle
         contrastToggle.addEventListener('change', (e) => {
+            this.updateContrastControls();
             // Update preview to show/hide contrast ratio indicators
             this.updatePreview();
         });
         
+        // Contrast method and APCA tier selection
+        document.getElementById('contrastMode').addEventListener('change', () => {
+            this.updateContrastControls();
+            this.updatePreview();
+        });
+        document.getElementById('apcaTier').addEventListener('change', () => {
+            this.updatePreview();
+        });
+        
+        // Contrast matrix toggle
+        document.getElementById('contrastMatrixToggle').addEventListener('change', (e) => {
+            const isChecked = e.target.checked;
+            document.getElementById('contrastMatrixContainer').style.display = isChecked ? 'block' : 'none';
+            
+            if (isChecked) {
+                this.updateContrastMatrix();
+            }
+        });
+        
         // Tailwind toggle
         tailwindToggle.addEventListener('change', (e) => {
             const isChecked = e.target.checked;
@@ -2789,6 +6244,7 @@ class ColorBandEditor {
             const isChecked = e.target.checked;
             const deltaELegend = document.getElementById('deltaELegend');
             deltaELegend.style.display = isChecked ? 'block' : 'none';
+            deltaEControl.style.display = isChecked ? 'flex' : 'none';
             
             if (isChecked) {
                 this.updateDeltaEAnalysis();
@@ -2798,6 +6254,22 @@ class ColorBandEditor {
             }
         });
         
+        // Delta E formula selection
+        deltaEFormulaSelect.addEventListener('change', () => {
+            this.updateDeltaELegend();
+            this.updateColorVisionReport();
+            this.updateDataVizReport();
+            if (deltaEToggle.checked) {
+                this.updateDeltaEAnalysis();
+            }
+            
+            // Equal Delta E spacing measures with the selected formula
+            if (document.getElementById('smoothingAlgorithm').value === 'deltae') {
+                this.applySmoothing();
+            }
+        });
+        this.updateDeltaELegend();
+        
         // Lightness comparison toggle
         lightnessToggle.addEventListener('change', (e) => {
             const isChecked = e.target.checked;
@@ -2812,6 +6284,18 @@ class ColorBandEditor {
             }
         });
         
+        // Color vision simulation
+        document.getElementById('visionSimulation').addEventListener('change', () => {
+            this.updatePreview();
+            this.drawColorSpaceGraph();
+            this.drawHueSpaceGraph();
+            this.drawSaturationSpaceGraph();
+            this.drawRedChannelGraph();
+            this.drawGreenChannelGraph();
+            this.drawBlueChannelGraph();
+            this.drawPerceptualGraphs();
+        });
+        
         // Tailwind color selection
         tailwindSelect.addEventListener('change', () => {
             this.tailwindColorManuallySelected = true;
@@ -2824,6 +6308,14 @@ class ColorBandEditor {
         this.autoSelectTailwindColor();
     }
     
+    updateContrastControls() {
+        const isChecked = document.getElementById('contrastRatio').checked;
+        const isAPCA = document.getElementById('contrastMode').value === 'apca';
+        
+        document.getElementById('contrastModeControl').style.display = isChecked ? 'flex' : 'none';
+        document.getElementById('apcaTierControl').style.display = isChecked && isAPCA ? 'flex' : 'none';
+    }
+    
     autoSelectTailwindColor() {
         if (this.colors.length === 0) return;
         
@@ -2906,19 +6398,134 @@ class ColorBandEditor {
         });
     }
 
+    // WCAG 2 level for a contrast ratio
+    getContrastLevel(ratio) {
+        if (ratio >= 7) return 'AAA';
+        if (ratio >= 4.5) return 'AA';
+        if (ratio >= 3) return 'AA Large';
+        return 'Fail';
+    }
+    
+    // Contrast ratio for every text/background pair of bands
+    getContrastMatrix() {
+        const stopNames = this.getStopNames();
+        
+        return this.colors.map((textColor, textIndex) =>
+            this.colors.map((backgroundColor, backgroundIndex) => {
+                const ratio = this.getContrastRatio(textColor, backgroundColor);
+                return {
+                    textIndex,
+                    textName: stopNames[textIndex],
+                    textColor,
+                    backgroundIndex,
+                    backgroundName: stopNames[backgroundIndex],
+                    backgroundColor,
+                    ratio,
+                    level: this.getContrastLevel(ratio)
+                };
+            })
+        );
+    }
+    
+    updateContrastMatrix() {
+        const table = document.getElementById('contrastMatrix');
+        if (!table) return;
+        
+        const matrix = this.getContrastMatrix();
+        const stopNames = this.getStopNames();
+        
+        // Header row: one column per background band
+        let html = '<thead><tr><th class="contrast-matrix-corner" title="Text (rows) on background (columns)">Text \\ Bg</th>';
+        this.colors.forEach((color, index) => {
+            html += `<th><span class="contrast-matrix-chip" style="background-color: ${color}"></span>${stopNames[index]}</th>`;
+        });
+        html += '</tr></thead><tbody>';
+        
+        matrix.forEach((row, textIndex) => {
+            html += `<tr><th><span class="contrast-matrix-chip" style="background-color: ${this.colors[textIndex]}"></span>${stopNames[textIndex]}</th>`;
+            
+            row.forEach(cell => {
+                if (cell.textIndex === cell.backgroundIndex) {
+                    html += '<td class="contrast-matrix-cell same"></td>';
+                    return;
+                }
+                
+                const levelClass = cell.level.toLowerCase().replace(' ', '-');
+                const badge = cell.level === 'Fail' ? '' : `<span class="contrast-badge ${levelClass}">${cell.level}</span>`;
+                html += `<td class="contrast-matrix-cell ${levelClass}" style="background-color: ${cell.backgroundColor}; color: ${cell.textColor}" title="${cell.textName} on ${cell.backgroundName}: ${cell.ratio.toFixed(2)}:1 (${cell.level})">`;
+                html += `<span class="contrast-matrix-ratio">${cell.ratio.toFixed(1)}</span>${badge}</td>`;
+            });
+            
+            html += '</tr>';
+        });
+        
+        html += '</tbody>';
+        table.innerHTML = html;
+    }
+    
+    exportContrastMatrix(format) {
+        const buttonId = format === 'csv' ? 'exportMatrixCsvBtn' : 'exportMatrixJsonBtn';
+        
+        try {
+            const pairs = this.getContrastMatrix()
+                .flat()
+                .filter(cell => cell.textIndex !== cell.backgroundIndex);
+            const date = new Date().toISOString().split('T')[0];
+            
+            if (format === 'csv') {
+                const rows = ['text_index,text_name,text_color,background_index,background_name,background_color,ratio,level'];
+                pairs.forEach(cell => {
+                    rows.push([
+                        cell.textIndex,
+                        cell.textName,
+                        cell.textColor,
+                        cell.backgroundIndex,
+                        cell.backgroundName,
+                        cell.backgroundColor,
+                        cell.ratio.toFixed(2),
+                        cell.level
+                    ].join(','));
+                });
+                
+                this.downloadFile(rows.join('\n'), `contrast-matrix-${date}.csv`, 'text/csv');
+            } else {
+                const exportData = {
+                    metadata: {
+                        title: 'Contrast Matrix Export',
+                        exportDate: new Date().toISOString(),
+                        totalColors: this.colors.length
+                    },
+                    stopNames: this.getStopNames(),
+                    colors: this.colors,
+                    pairs: pairs.map(cell => ({ ...cell, ratio: parseFloat(cell.ratio.toFixed(2)) }))
+                };
+                
+                this.downloadFile(JSON.stringify(exportData, null, 2), `contrast-matrix-${date}.json`, 'application/json');
+            }
+            
+            this.showCopyFeedback(buttonId, 'Saved!');
+        } catch (error) {
+            console.error('Contrast matrix export failed:', error);
+            this.showCopyFeedback(buttonId, 'Export failed');
+        }
+    }
+    
     updateDeltaEAnalysis() {
         // Remove any existing delta E indicators
         document.querySelectorAll('.delta-e-indicator').forEach(indicator => indicator.remove());
         
         if (this.colors.length < 2) return;
 
-        // Get the color preview swatches
+        // Get the color preview swatches (compared as displayed, including any vision simulation)
+        const displayColors = this.getDisplayColors();
         const swatches = document.querySelectorAll('#colorBandPreview .color-preview-swatch');
+        const formula = this.getDeltaEFormula();
+        const formulaName = this.getDeltaEFormulaName(formula);
         
         // Calculate Delta E for each adjacent pair and add indicators
         for (let i = 0; i < this.colors.length - 1; i++) {
-            const color1 = this.colors[i];
-            const color2 = this.colors[i + 1];
+            const color1 = displayColors[i];
+            const color2 = displayColors[i + 1];
             
             // Debug: Check if ColorUtils methods exist
             if (typeof ColorUtils.calculateDeltaE !== 'function') {
@@ -2926,8 +6533,8 @@ class ColorBandEditor {
                 return;
             }
             
-            const deltaE = ColorUtils.calculateDeltaE(color1, color2);
-            const interpretation = ColorUtils.interpretDeltaE(deltaE);
+            const deltaE = ColorUtils.calculateDeltaE(color1, color2, formula);
+            const interpretation = ColorUtils.interpretDeltaE(deltaE, formula);
             
             // Add indicator to the first swatch (showing transition to next)
             const targetSwatch = swatches[i];
@@ -2940,7 +6547,7 @@ class ColorBandEditor {
                 
                 indicator.style.color = textColor;
                 indicator.textContent = `Δ${deltaE.toFixed(1)}→`;
-                indicator.title = `Delta E: ${deltaE.toFixed(2)} (${interpretation}) to next color`;
+                indicator.title = `Delta E (${formulaName}): ${deltaE.toFixed(2)} (${interpretation}) to next color`;
                 
                 // Position it relatively to the swatch
                 targetSwatch.style.position = 'relative';
@@ -2949,19 +6556,70 @@ class ColorBandEditor {
         }
     }
 
+    getDeltaEFormula() {
+        const formulaSelect = document.getElementById('deltaEFormula');
+        return formulaSelect ? formulaSelect.value : 'cie76';
+    }
+    
+    getDeltaEFormulaName(formula) {
+        const names = { cie76: 'CIE76', cie94: 'CIE94', ciede2000: 'CIEDE2000' };
+        return names[formula] || 'CIE76';
+    }
+    
+    updateDeltaELegend() {
+        const legendBody = document.getElementById('deltaELegendBody');
+        if (!legendBody) return;
+        
+        // Usage hints per interpretation band
+        const hints = {
+            'Imperceptible': 'Perfect for subtle gradients',
+            'Very slight': 'Good for smooth transitions',
+            'Slight': 'Acceptable for most uses',
+            'Noticeable': 'May need smoothing',
+            'Significant': 'Consider more bands',
+            'Very significant': 'Increase band count'
+        };
+        
+        const thresholds = ColorUtils.getDeltaEThresholds(this.getDeltaEFormula());
+        
+        legendBody.innerHTML = thresholds.map(band => {
+            let range;
+            if (band.min === 0) {
+                range = `&lt; ${band.max.toFixed(1)}`;
+            } else if (band.max === Infinity) {
+                range = `&gt; ${band.min.toFixed(1)}`;
+            } else {
+                range = `${band.min.toFixed(1)} - ${band.max.toFixed(1)}`;
+            }
+            const className = `legend-${band.label.toLowerCase().replace(' ', '-')}`;
+            
+            return `<tr title="${hints[band.label]}">
+                <td class="${className}">${range}</td>
+                <td>${band.label}</td>
+            </tr>`;
+        }).join('');
+    }
+    
     updateLightnessAnalysis() {
         // Remove any existing lightness indicators
         document.querySelectorAll('.lightness-indicator').forEach(indicator => indicator.remove());
         
         if (this.colors.length < 2) return;
 
-        // Get the color preview swatches
+        // Get the color preview swatches (compared as displayed, including any vision simulation)
+        const displayColors = this.getDisplayColors();
         const swatches = document.querySelectorAll('#colorBandPreview .color-preview-swatch');
         
+        // Steps that break the data viz check's lightness order are flagged
+        const vizKind = document.getElementById('dataVizCheck').value;
+        const reversals = new Set(vizKind === 'none' || this.colors.length < 3
+            ? []
+            : this.getDataVizCheck(vizKind).sides.flatMap(side => side.reversals));
+        
         // Calculate lightness difference for each adjacent pair and add indicators
         for (let i = 0; i < this.colors.length - 1; i++) {
-            const color1 = this.colors[i];
-            const color2 = this.colors[i + 1];
+            const color1 = displayColors[i];
+            const color2 = displayColors[i + 1];
             
             // Convert colors to LAB and extract lightness (L*)
             const lab1 = ColorUtils.hexToLab(color1);
@@ -2981,6 +6639,12 @@ class ColorBandEditor {
                 indicator.style.color = textColor;
                 indicator.textContent = `${lightnessDiff.toFixed(1)}→`;
                 indicator.title = `Lightness difference: ${lightnessDiff.toFixed(2)} to next color`;
+                if (reversals.has(i)) {
+                    indicator.classList.add('lightness-indicator--reversal');
+                    indicator.style.color = '';
+                    indicator.textContent = `⚠ ${lightnessDiff.toFixed(1)}→`;
+                    indicator.title += ' - lightness turns back here';
+                }
                 
                 // Position it relatively to the swatch
                 targetSwatch.style.position = 'relative';
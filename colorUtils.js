@@ -122,6 +122,12 @@ class ColorUtils {
 
     // Convert LAB to RGB (simplified)
     static labToRgb(L, A, B) {
+        const linear = ColorUtils.labToLinearRgb(L, A, B);
+        return ColorUtils.linearToRgb(linear.r, linear.g, linear.b);
+    }
+
+    // Convert LAB to unclamped linear-light RGB (values outside 0-1 are out of sRGB gamut)
+    static labToLinearRgb(L, A, B) {
         let y = (L + 16) / 116;
         let x = A / 500 + y;
         let z = y - B / 200;
@@ -135,39 +141,34 @@ class ColorUtils {
         z *= 1.08883;
 
         // XYZ to RGB matrix
-        let r = x *  3.2404542 + y * -1.5371385 + z * -0.4985314;
-        let g = x * -0.9692660 + y *  1.8760108 + z *  0.0415560;
-        let b = x *  0.0556434 + y * -0.2040259 + z *  1.0572252;
-
-        // Apply gamma correction
-        r = r > 0.0031308 ? 1.055 * Math.pow(r, 1/2.4) - 0.055 : 12.92 * r;
-        g = g > 0.0031308 ? 1.055 * Math.pow(g, 1/2.4) - 0.055 : 12.92 * g;
-        b = b > 0.0031308 ? 1.055 * Math.pow(b, 1/2.4) - 0.055 : 12.92 * b;
-
         return {
-            r: Math.max(0, Math.min(255, r * 255)),
-            g: Math.max(0, Math.min(255, g * 255)),
-            b: Math.max(0, Math.min(255, b * 255))
+            r: x *  3.2404542 + y * -1.5371385 + z * -0.4985314,
+            g: x * -0.9692660 + y *  1.8760108 + z *  0.0415560,
+            b: x *  0.0556434 + y * -0.2040259 + z *  1.0572252
         };
     }
 
     // Get color contrast ratio
     static getContrastRatio(color1, color2) {
-        const getLuminance = (r, g, b) => {
-            const [rs, gs, bs] = [r, g, b].map(c => {
+        const getLuminance = (color) => {
+            // Encoded Display-P3 ({ r, g, b } in 0-1) uses the P3 luminance row
+            if (color && typeof color === 'object') {
+                const linear = ColorUtils.p3ToLinear(color.r, color.g, color.b);
+                return 0.2289746 * linear.r + 0.6917385 * linear.g + 0.0792869 * linear.b;
+            }
+            const rgb = ColorUtils.hexToRgb(color);
+            if (!rgb) return null;
+            const [rs, gs, bs] = [rgb.r, rgb.g, rgb.b].map(c => {
                 c = c / 255;
                 return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
             });
             return 0.2126 * rs + 0.7152 * gs + 0.0722 * bs;
         };
 
-        const rgb1 = ColorUtils.hexToRgb(color1);
-        const rgb2 = ColorUtils.hexToRgb(color2);
+        const lum1 = getLuminance(color1);
+        const lum2 = getLuminance(color2);
         
-        if (!rgb1 || !rgb2) return 1;
-
-        const lum1 = getLuminance(rgb1.r, rgb1.g, rgb1.b);
-        const lum2 = getLuminance(rgb2.r, rgb2.g, rgb2.b);
+        if (lum1 === null || lum2 === null) return 1;
         
         const brightest = Math.max(lum1, lum2);
         const darkest = Math.min(lum1, lum2);
@@ -175,6 +176,55 @@ class ColorUtils {
         return (brightest + 0.05) / (darkest + 0.05);
     }
 
+    // Get APCA (WCAG 3 draft, 0.0.98G-4g) lightness contrast Lc for text on a background
+    // Positive values are dark text on a light background, negative values light text on dark
+    static getAPCAContrast(textColor, backgroundColor) {
+        const textRgb = ColorUtils.toAPCAChannels(textColor);
+        const bgRgb = ColorUtils.toAPCAChannels(backgroundColor);
+        
+        if (!textRgb || !bgRgb) return 0;
+
+        // APCA screen luminance uses a simple 2.4 exponent instead of the piecewise sRGB curve,
+        // with APCA's own coefficients for Display P3
+        const getScreenLuminance = ({ r, g, b, p3 }) => {
+            const [kr, kg, kb] = p3
+                ? [0.2289829594805780, 0.6917492625852380, 0.0792677779341829]
+                : [0.2126729, 0.7151522, 0.0721750];
+            return kr * Math.pow(r, 2.4) + kg * Math.pow(g, 2.4) + kb * Math.pow(b, 2.4);
+        };
+
+        const blackThreshold = 0.022;
+        const blackClamp = 1.414;
+        const softClampBlack = (y) => y > blackThreshold ? y : y + Math.pow(blackThreshold - y, blackClamp);
+
+        const textY = softClampBlack(getScreenLuminance(textRgb));
+        const bgY = softClampBlack(getScreenLuminance(bgRgb));
+
+        if (Math.abs(bgY - textY) < 0.0005) return 0;
+
+        let contrast;
+        if (bgY > textY) {
+            // Normal polarity: dark text on light background
+            const sapc = (Math.pow(bgY, 0.56) - Math.pow(textY, 0.57)) * 1.14;
+            contrast = sapc < 0.1 ? 0 : sapc - 0.027;
+        } else {
+            // Reverse polarity: light text on dark background
+            const sapc = (Math.pow(bgY, 0.65) - Math.pow(textY, 0.62)) * 1.14;
+            contrast = sapc > -0.1 ? 0 : sapc + 0.027;
+        }
+
+        return contrast * 100;
+    }
+
+    // 0-1 channels for APCA from a hex color, or from encoded Display-P3 channels ({ r, g, b } in 0-1)
+    static toAPCAChannels(color) {
+        if (color && typeof color === 'object') {
+            return { r: color.r, g: color.g, b: color.b, p3: true };
+        }
+        const rgb = ColorUtils.hexToRgb(color);
+        return rgb ? { r: rgb.r / 255, g: rgb.g / 255, b: rgb.b / 255, p3: false } : null;
+    }
+
     // Check if a color is light or dark
     static isLight(hex) {
         const rgb = ColorUtils.hexToRgb(hex);
@@ -185,17 +235,28 @@ class ColorUtils {
         return luminance > 0.5;
     }
 
+    // Convert 0-255 sRGB channels to linear-light 0-1 values
+    static rgbToLinear(r, g, b) {
+        const toLinear = (c) => {
+            c = c / 255;
+            return c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+        };
+        return { r: toLinear(r), g: toLinear(g), b: toLinear(b) };
+    }
+
+    // Convert linear-light 0-1 values back to clamped 0-255 sRGB channels
+    static linearToRgb(r, g, b) {
+        const toGamma = (c) => {
+            c = c > 0.0031308 ? 1.055 * Math.pow(c, 1/2.4) - 0.055 : 12.92 * c;
+            return Math.max(0, Math.min(255, c * 255));
+        };
+        return { r: toGamma(r), g: toGamma(g), b: toGamma(b) };
+    }
+
     // Convert RGB to XYZ color space
     static rgbToXyz(r, g, b) {
-        // Normalize RGB values
-        r = r / 255;
-        g = g / 255;
-        b = b / 255;
-
-        // Apply gamma correction
-        r = r > 0.04045 ? Math.pow((r + 0.055) / 1.055, 2.4) : r / 12.92;
-        g = g > 0.04045 ? Math.pow((g + 0.055) / 1.055, 2.4) : g / 12.92;
-        b = b > 0.04045 ? Math.pow((b + 0.055) / 1.055, 2.4) : b / 12.92;
+        // Normalize and apply gamma correction
+        ({ r, g, b } = ColorUtils.rgbToLinear(r, g, b));
 
         // Convert to XYZ using sRGB matrix
         const x = r * 0.4124564 + g * 0.3575761 + b * 0.1804375;
@@ -205,6 +266,51 @@ class ColorUtils {
         return { x: x * 100, y: y * 100, z: z * 100 };
     }
 
+    // Simulate how a color appears with a color vision deficiency
+    // Uses Machado et al. (2009) full-severity matrices in linear RGB; achromatopsia keeps luminance only
+    static simulateColorVision(hex, type) {
+        const rgb = ColorUtils.hexToRgb(hex);
+        if (!rgb) return hex;
+
+        const matrices = {
+            protanopia: [
+                [0.152286, 1.052583, -0.204868],
+                [0.114503, 0.786281, 0.099216],
+                [-0.003882, -0.048116, 1.051998]
+            ],
+            deuteranopia: [
+                [0.367322, 0.860646, -0.227968],
+                [0.280085, 0.672501, 0.047413],
+                [-0.011820, 0.042940, 0.968881]
+            ],
+            tritanopia: [
+                [1.255528, -0.076749, -0.178779],
+                [-0.078411, 0.930809, 0.147602],
+                [0.004733, 0.691367, 0.303900]
+            ]
+        };
+
+        const linear = ColorUtils.rgbToLinear(rgb.r, rgb.g, rgb.b);
+        let simulated;
+
+        if (type === 'achromatopsia') {
+            const y = 0.2126729 * linear.r + 0.7151522 * linear.g + 0.0721750 * linear.b;
+            simulated = { r: y, g: y, b: y };
+        } else if (matrices[type]) {
+            const m = matrices[type];
+            simulated = {
+                r: m[0][0] * linear.r + m[0][1] * linear.g + m[0][2] * linear.b,
+                g: m[1][0] * linear.r + m[1][1] * linear.g + m[1][2] * linear.b,
+                b: m[2][0] * linear.r + m[2][1] * linear.g + m[2][2] * linear.b
+            };
+        } else {
+            return hex;
+        }
+
+        const out = ColorUtils.linearToRgb(simulated.r, simulated.g, simulated.b);
+        return ColorUtils.rgbToHex(out.r, out.g, out.b);
+    }
+
     // Convert XYZ to LAB color space
     static xyzToLab(x, y, z) {
         // Reference white D65
@@ -236,10 +342,368 @@ class ColorUtils {
         return ColorUtils.xyzToLab(xyz.x, xyz.y, xyz.z);
     }
 
-    // Calculate Delta E (CIE76) between two colors
-    static calculateDeltaE(hex1, hex2) {
-        const lab1 = ColorUtils.hexToLab(hex1);
-        const lab2 = ColorUtils.hexToLab(hex2);
+    // Convert RGB to OKLab color space
+    static rgbToOklab(r, g, b) {
+        const linear = ColorUtils.rgbToLinear(r, g, b);
+        return ColorUtils.linearRgbToOklab(linear.r, linear.g, linear.b);
+    }
+
+    // Convert linear-light RGB to OKLab
+    static linearRgbToOklab(r, g, b) {
+        // Linear sRGB to LMS
+        const l = 0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b;
+        const m = 0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b;
+        const s = 0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b;
+
+        const l_ = Math.cbrt(l);
+        const m_ = Math.cbrt(m);
+        const s_ = Math.cbrt(s);
+
+        return {
+            l: 0.2104542553 * l_ + 0.7936177850 * m_ - 0.0040720468 * s_,
+            a: 1.9779984951 * l_ - 2.4285922050 * m_ + 0.4505937099 * s_,
+            b: 0.0259040371 * l_ + 0.7827717662 * m_ - 0.8086757660 * s_
+        };
+    }
+
+    // Convert OKLab to RGB
+    static oklabToRgb(L, a, b) {
+        const linear = ColorUtils.oklabToLinearRgb(L, a, b);
+        return ColorUtils.linearToRgb(linear.r, linear.g, linear.b);
+    }
+
+    // Convert OKLab to unclamped linear-light RGB
+    static oklabToLinearRgb(L, a, b) {
+        const l_ = L + 0.3963377774 * a + 0.2158037573 * b;
+        const m_ = L - 0.1055613458 * a - 0.0638541728 * b;
+        const s_ = L - 0.0894841775 * a - 1.2914855480 * b;
+
+        const l = l_ * l_ * l_;
+        const m = m_ * m_ * m_;
+        const s = s_ * s_ * s_;
+
+        // LMS to linear sRGB
+        return {
+            r: 4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+            g: -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+            b: -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+        };
+    }
+
+    // Convert OKLab to CIELAB (D65) without clamping to sRGB, so wide-gamut colors keep their distances
+    static oklabToLab(L, a, b) {
+        const linear = ColorUtils.oklabToLinearRgb(L, a, b);
+
+        // Linear sRGB to XYZ
+        const x = linear.r * 0.4124564 + linear.g * 0.3575761 + linear.b * 0.1804375;
+        const y = linear.r * 0.2126729 + linear.g * 0.7151522 + linear.b * 0.0721750;
+        const z = linear.r * 0.0193339 + linear.g * 0.1191920 + linear.b * 0.9503041;
+
+        return ColorUtils.xyzToLab(x * 100, y * 100, z * 100);
+    }
+
+    // Convert OKLab to OKLCH (hue in degrees)
+    static oklabToOklch(L, a, b) {
+        const c = Math.sqrt(a * a + b * b);
+        let h = Math.atan2(b, a) * 180 / Math.PI;
+        if (h < 0) h += 360;
+
+        return { l: L, c, h };
+    }
+
+    // Convert OKLCH to OKLab
+    static oklchToOklab(L, c, h) {
+        const hRad = h * Math.PI / 180;
+        return { l: L, a: c * Math.cos(hRad), b: c * Math.sin(hRad) };
+    }
+
+    // Check whether linear-light RGB lies inside the sRGB gamut
+    static isLinearRgbInGamut(rgb, epsilon = 0.0001) {
+        return [rgb.r, rgb.g, rgb.b].every(c => c >= -epsilon && c <= 1 + epsilon);
+    }
+
+    // Map an OKLab color into sRGB (0-255 RGB) or Display-P3 (0-1 encoded RGB)
+    // 'css4' reduces OKLCH chroma per CSS Color 4 until the clipped result is within a JND;
+    // 'clip' clamps each channel, which can shift hue
+    static gamutMapOklab(L, a, b, method = 'css4', gamut = 'srgb') {
+        const isP3 = gamut === 'display-p3';
+        const toLinear = (lab) => isP3
+            ? ColorUtils.oklabToLinearP3(lab.l, lab.a, lab.b)
+            : ColorUtils.oklabToLinearRgb(lab.l, lab.a, lab.b);
+        const clip = (lab) => {
+            const linear = toLinear(lab);
+            if (isP3) {
+                const encoded = ColorUtils.linearToP3(linear.r, linear.g, linear.b);
+                return {
+                    r: Math.max(0, Math.min(1, encoded.r)),
+                    g: Math.max(0, Math.min(1, encoded.g)),
+                    b: Math.max(0, Math.min(1, encoded.b))
+                };
+            }
+            return ColorUtils.linearToRgb(linear.r, linear.g, linear.b);
+        };
+        const clippedToOklab = (clipped) => isP3
+            ? ColorUtils.p3ToOklab(clipped)
+            : ColorUtils.rgbToOklab(clipped.r, clipped.g, clipped.b);
+
+        if (method === 'clip') return clip({ l: L, a, b });
+
+        if (L >= 1) return isP3 ? { r: 1, g: 1, b: 1 } : { r: 255, g: 255, b: 255 };
+        if (L <= 0) return { r: 0, g: 0, b: 0 };
+
+        if (ColorUtils.isLinearRgbInGamut(toLinear({ l: L, a, b }))) {
+            return clip({ l: L, a, b });
+        }
+
+        const JND = 0.02;
+        const epsilon = 0.0001;
+        const lch = ColorUtils.oklabToOklch(L, a, b);
+
+        // Distance between an OKLab color and its clipped version
+        const clippedDelta = (lab) => {
+            const clipped = clip(lab);
+            const clippedLab = clippedToOklab(clipped);
+            const dl = lab.l - clippedLab.l;
+            const da = lab.a - clippedLab.a;
+            const db = lab.b - clippedLab.b;
+            return { clipped, deltaE: Math.sqrt(dl * dl + da * da + db * db) };
+        };
+
+        let current = { l: L, a, b };
+        let result = clippedDelta(current);
+        if (result.deltaE < JND) return result.clipped;
+
+        let min = 0;
+        let max = lch.c;
+        let minInGamut = true;
+
+        while (max - min > epsilon) {
+            const chroma = (min + max) / 2;
+            current = ColorUtils.oklchToOklab(lch.l, chroma, lch.h);
+
+            if (minInGamut && ColorUtils.isLinearRgbInGamut(toLinear(current))) {
+                min = chroma;
+                continue;
+            }
+
+            result = clippedDelta(current);
+            if (result.deltaE < JND) {
+                if (JND - result.deltaE < epsilon) return result.clipped;
+                minInGamut = false;
+                min = chroma;
+            } else {
+                max = chroma;
+            }
+        }
+
+        return clippedDelta(current).clipped;
+    }
+
+    // Apply the sRGB transfer curve (shared by Display-P3) to linear 0-1 values, keeping sign
+    static linearToP3(r, g, b) {
+        const toGamma = (c) => {
+            const abs = Math.abs(c);
+            const encoded = abs > 0.0031308 ? 1.055 * Math.pow(abs, 1/2.4) - 0.055 : 12.92 * abs;
+            return Math.sign(c) * encoded;
+        };
+        return { r: toGamma(r), g: toGamma(g), b: toGamma(b) };
+    }
+
+    // Remove the Display-P3 transfer curve from encoded 0-1 values
+    static p3ToLinear(r, g, b) {
+        const toLinear = (c) => c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+        return { r: toLinear(r), g: toLinear(g), b: toLinear(b) };
+    }
+
+    // Convert encoded Display-P3 ({ r, g, b } in 0-1) to OKLab
+    static p3ToOklab(p3) {
+        const linear = ColorUtils.p3ToLinear(p3.r, p3.g, p3.b);
+
+        // Linear Display-P3 to linear sRGB (may fall outside 0-1 for wide-gamut colors)
+        const r = 1.2249401 * linear.r - 0.2249404 * linear.g;
+        const g = -0.0420569 * linear.r + 1.0420571 * linear.g;
+        const b = -0.0196376 * linear.r - 0.0786361 * linear.g + 1.0982735 * linear.b;
+
+        return ColorUtils.linearRgbToOklab(r, g, b);
+    }
+
+    // Convert Display-P3 channels to LAB (D65, like hexToLab)
+    static p3ToLab(p3) {
+        const { r, g, b } = ColorUtils.p3ToLinear(p3.r, p3.g, p3.b);
+
+        // Linear Display-P3 to XYZ
+        const x = r * 0.4865709 + g * 0.2656677 + b * 0.1982173;
+        const y = r * 0.2289746 + g * 0.6917385 + b * 0.0792869;
+        const z = g * 0.0451134 + b * 1.0439444;
+
+        return ColorUtils.xyzToLab(x * 100, y * 100, z * 100);
+    }
+
+    // Convert encoded Display-P3 to LAB relative to D50, the white point Adobe Swatch Exchange uses
+    static p3ToLabD50(p3) {
+        const { r, g, b } = ColorUtils.p3ToLinear(p3.r, p3.g, p3.b);
+        const x = r * 0.4865709 + g * 0.2656677 + b * 0.1982173;
+        const y = r * 0.2289746 + g * 0.6917385 + b * 0.0792869;
+        const z = g * 0.0451134 + b * 1.0439444;
+
+        // Bradford adaptation from D65 to D50
+        const xd = 1.0479298 * x + 0.0229468 * y - 0.0501922 * z;
+        const yd = 0.0296278 * x + 0.9904345 * y - 0.0170738 * z;
+        const zd = -0.0092431 * x + 0.0150551 * y + 0.7518743 * z;
+
+        // xyzToLab normalizes by the D65 white, so rescale to the D50 white (96.422, 100, 82.521)
+        return ColorUtils.xyzToLab(xd * 95.047 / 0.96422, yd * 100, zd * 108.883 / 0.82521);
+    }
+
+    // Convert LAB relative to D50 (as stored in Adobe Swatch Exchange files) to sRGB
+    static labD50ToRgb(L, A, B) {
+        const fromF = t => Math.pow(t, 3) > 0.008856 ? Math.pow(t, 3) : (t - 16/116) / 7.787;
+        const fy = (L + 16) / 116;
+        const x = fromF(A / 500 + fy) * 0.96422;
+        const y = fromF(fy);
+        const z = fromF(fy - B / 200) * 0.82521;
+
+        // Bradford adaptation from D50 to D65
+        const xd = 0.9554735 * x - 0.0230985 * y + 0.0632593 * z;
+        const yd = -0.0283697 * x + 1.0099955 * y + 0.0210414 * z;
+        const zd = 0.0123140 * x - 0.0205077 * y + 1.3303659 * z;
+
+        // XYZ to linear sRGB, as in labToLinearRgb
+        return ColorUtils.linearToRgb(
+            xd *  3.2404542 + yd * -1.5371385 + zd * -0.4985314,
+            xd * -0.9692660 + yd *  1.8760108 + zd *  0.0415560,
+            xd *  0.0556434 + yd * -0.2040259 + zd *  1.0572252
+        );
+    }
+
+    // Convert OKLab to unclamped linear Display-P3
+    static oklabToLinearP3(L, a, b) {
+        const srgb = ColorUtils.oklabToLinearRgb(L, a, b);
+
+        // Linear sRGB to linear Display-P3
+        return {
+            r: 0.8224621 * srgb.r + 0.1775380 * srgb.g,
+            g: 0.0331941 * srgb.r + 0.9668058 * srgb.g,
+            b: 0.0170827 * srgb.r + 0.0723974 * srgb.g + 0.9105199 * srgb.b
+        };
+    }
+
+    // Convert hex (sRGB) to encoded Display-P3
+    static hexToP3(hex) {
+        const lab = ColorUtils.hexToOklab(hex);
+        if (!lab) return null;
+        const linear = ColorUtils.oklabToLinearP3(lab.l, lab.a, lab.b);
+        const p3 = ColorUtils.linearToP3(linear.r, linear.g, linear.b);
+        return {
+            r: Math.max(0, Math.min(1, p3.r)),
+            g: Math.max(0, Math.min(1, p3.g)),
+            b: Math.max(0, Math.min(1, p3.b))
+        };
+    }
+
+    // Convert encoded Display-P3 to a gamut-mapped sRGB hex fallback
+    static p3ToHex(p3, method = 'css4') {
+        const lab = ColorUtils.p3ToOklab(p3);
+        const rgb = ColorUtils.gamutMapOklab(lab.l, lab.a, lab.b, method);
+        return ColorUtils.rgbToHex(rgb.r, rgb.g, rgb.b);
+    }
+
+    // Parse a CSS color(display-p3 r g b) string into 0-1 channels
+    static parseDisplayP3(value) {
+        if (!value || typeof value !== 'string') return null;
+
+        const match = /^\s*color\(\s*display-p3\s+([\d.]+%?)\s+([\d.]+%?)\s+([\d.]+%?)\s*(?:\/\s*[\d.]+%?\s*)?\)\s*$/i.exec(value);
+        if (!match) return null;
+
+        const toChannel = (token) => {
+            const number = parseFloat(token);
+            return token.endsWith('%') ? number / 100 : number;
+        };
+        const p3 = { r: toChannel(match[1]), g: toChannel(match[2]), b: toChannel(match[3]) };
+
+        return [p3.r, p3.g, p3.b].every(c => !isNaN(c) && c >= 0 && c <= 1) ? p3 : null;
+    }
+
+    // Format Display-P3 channels as a CSS color() string
+    static formatDisplayP3(p3) {
+        const format = (c) => parseFloat(c.toFixed(4));
+        return `color(display-p3 ${format(p3.r)} ${format(p3.g)} ${format(p3.b)})`;
+    }
+
+    // Format a color as CSS in the given notation: hex, rgb, hsl or oklch. Display-P3 channels,
+    // when given, feed oklch() so wide-gamut colors keep their full chroma
+    static formatCssColor(hex, notation = 'hex', p3 = null) {
+        const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+        switch (notation) {
+            case 'rgb': {
+                const rgb = ColorUtils.hexToRgb(hex);
+                return `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})`;
+            }
+            case 'hsl': {
+                const hsl = ColorUtils.hexToHsl(hex);
+                return `hsl(${round(hsl.h, 1)}, ${round(hsl.s, 1)}%, ${round(hsl.l, 1)}%)`;
+            }
+            case 'oklch': {
+                const lab = p3 ? ColorUtils.p3ToOklab(p3) : ColorUtils.hexToOklab(hex);
+                const lch = ColorUtils.oklabToOklch(lab.l, lab.a, lab.b);
+                // Hue is meaningless for grays, so write 0 rather than rounding noise
+                const hue = lch.c < 0.0005 ? 0 : round(lch.h, 2);
+                return `oklch(${round(lch.l * 100, 2)}% ${round(lch.c, 4)} ${hue})`;
+            }
+            default:
+                return hex;
+        }
+    }
+
+    // Convert hex to OKLab
+    static hexToOklab(hex) {
+        const rgb = ColorUtils.hexToRgb(hex);
+        if (!rgb) return null;
+        return ColorUtils.rgbToOklab(rgb.r, rgb.g, rgb.b);
+    }
+
+    // Convert OKLab to hex
+    static oklabToHex(L, a, b) {
+        const rgb = ColorUtils.oklabToRgb(L, a, b);
+        return ColorUtils.rgbToHex(rgb.r, rgb.g, rgb.b);
+    }
+
+    // Convert hex to OKLCH
+    static hexToOklch(hex) {
+        const lab = ColorUtils.hexToOklab(hex);
+        if (!lab) return null;
+        return ColorUtils.oklabToOklch(lab.l, lab.a, lab.b);
+    }
+
+    // Convert OKLCH to hex
+    static oklchToHex(L, c, h) {
+        const lab = ColorUtils.oklchToOklab(L, c, h);
+        return ColorUtils.oklabToHex(lab.l, lab.a, lab.b);
+    }
+
+    // Calculate Delta E between two colors using the given formula
+    // Colors are hex strings, or LAB objects ({ l, a, b }) for values outside sRGB
+    static calculateDeltaE(hex1, hex2, formula = 'cie76') {
+        switch (formula) {
+            case 'cie94':
+                return ColorUtils.calculateDeltaE94(hex1, hex2);
+            case 'ciede2000':
+                return ColorUtils.calculateDeltaE2000(hex1, hex2);
+            default:
+                return ColorUtils.calculateDeltaE76(hex1, hex2);
+        }
+    }
+
+    // Read a hex color as LAB; LAB objects pass through
+    static toLab(color) {
+        return typeof color === 'string' ? ColorUtils.hexToLab(color) : color;
+    }
+
+    // Calculate Delta E (CIE76) - plain Euclidean distance in LAB
+    static calculateDeltaE76(hex1, hex2) {
+        const lab1 = ColorUtils.toLab(hex1);
+        const lab2 = ColorUtils.toLab(hex2);
         
         if (!lab1 || !lab2) return 0;
 
@@ -250,13 +714,138 @@ class ColorUtils {
         return Math.sqrt(deltaL * deltaL + deltaA * deltaA + deltaB * deltaB);
     }
 
+    // Calculate Delta E (CIE94, graphic arts weights)
+    static calculateDeltaE94(hex1, hex2) {
+        const lab1 = ColorUtils.toLab(hex1);
+        const lab2 = ColorUtils.toLab(hex2);
+        
+        if (!lab1 || !lab2) return 0;
+
+        const kL = 1, kC = 1, kH = 1;
+        const K1 = 0.045;
+        const K2 = 0.015;
+
+        const deltaL = lab1.l - lab2.l;
+        const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+        const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+        const deltaC = c1 - c2;
+        const deltaA = lab1.a - lab2.a;
+        const deltaB = lab1.b - lab2.b;
+        // deltaH is derived from the remaining difference; guard rounding below zero
+        const deltaHSquared = Math.max(0, deltaA * deltaA + deltaB * deltaB - deltaC * deltaC);
+
+        const sL = 1;
+        const sC = 1 + K1 * c1;
+        const sH = 1 + K2 * c1;
+
+        const termL = deltaL / (kL * sL);
+        const termC = deltaC / (kC * sC);
+        const termHSquared = deltaHSquared / ((kH * sH) * (kH * sH));
+
+        return Math.sqrt(termL * termL + termC * termC + termHSquared);
+    }
+
+    // Calculate Delta E (CIEDE2000)
+    static calculateDeltaE2000(hex1, hex2) {
+        const lab1 = ColorUtils.toLab(hex1);
+        const lab2 = ColorUtils.toLab(hex2);
+        
+        if (!lab1 || !lab2) return 0;
+
+        const toRad = Math.PI / 180;
+        const toDeg = 180 / Math.PI;
+        const pow25To7 = Math.pow(25, 7);
+
+        // Chroma-dependent a* adjustment
+        const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+        const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+        const cMean = (c1 + c2) / 2;
+        const cMean7 = Math.pow(cMean, 7);
+        const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + pow25To7)));
+
+        const a1p = lab1.a * (1 + g);
+        const a2p = lab2.a * (1 + g);
+        const c1p = Math.sqrt(a1p * a1p + lab1.b * lab1.b);
+        const c2p = Math.sqrt(a2p * a2p + lab2.b * lab2.b);
+
+        const hueAngle = (b, a) => {
+            if (a === 0 && b === 0) return 0;
+            const h = Math.atan2(b, a) * toDeg;
+            return h < 0 ? h + 360 : h;
+        };
+        const h1p = hueAngle(lab1.b, a1p);
+        const h2p = hueAngle(lab2.b, a2p);
+
+        // Differences
+        const deltaLp = lab2.l - lab1.l;
+        const deltaCp = c2p - c1p;
+
+        let deltahp = 0;
+        if (c1p * c2p !== 0) {
+            deltahp = h2p - h1p;
+            if (deltahp > 180) deltahp -= 360;
+            else if (deltahp < -180) deltahp += 360;
+        }
+        const deltaHp = 2 * Math.sqrt(c1p * c2p) * Math.sin((deltahp / 2) * toRad);
+
+        // Means
+        const lMeanP = (lab1.l + lab2.l) / 2;
+        const cMeanP = (c1p + c2p) / 2;
+
+        let hMeanP = h1p + h2p;
+        if (c1p * c2p !== 0) {
+            if (Math.abs(h1p - h2p) <= 180) {
+                hMeanP = (h1p + h2p) / 2;
+            } else if (h1p + h2p < 360) {
+                hMeanP = (h1p + h2p + 360) / 2;
+            } else {
+                hMeanP = (h1p + h2p - 360) / 2;
+            }
+        }
+
+        const t = 1
+            - 0.17 * Math.cos((hMeanP - 30) * toRad)
+            + 0.24 * Math.cos((2 * hMeanP) * toRad)
+            + 0.32 * Math.cos((3 * hMeanP + 6) * toRad)
+            - 0.20 * Math.cos((4 * hMeanP - 63) * toRad);
+
+        const deltaTheta = 30 * Math.exp(-Math.pow((hMeanP - 275) / 25, 2));
+        const cMeanP7 = Math.pow(cMeanP, 7);
+        const rC = 2 * Math.sqrt(cMeanP7 / (cMeanP7 + pow25To7));
+        const lMeanOffset = (lMeanP - 50) * (lMeanP - 50);
+        const sL = 1 + (0.015 * lMeanOffset) / Math.sqrt(20 + lMeanOffset);
+        const sC = 1 + 0.045 * cMeanP;
+        const sH = 1 + 0.015 * cMeanP * t;
+        const rT = -Math.sin(2 * deltaTheta * toRad) * rC;
+
+        const termL = deltaLp / sL;
+        const termC = deltaCp / sC;
+        const termH = deltaHp / sH;
+
+        return Math.sqrt(termL * termL + termC * termC + termH * termH + rT * termC * termH);
+    }
+
+    // Get Delta E interpretation thresholds for a formula
+    // CIE94 and CIEDE2000 compress differences in saturated colors, so their bands are tighter
+    static getDeltaEThresholds(formula = 'cie76') {
+        const upperBounds = {
+            cie76: [1, 2, 4, 5, 10],
+            cie94: [1, 2, 3, 4, 8],
+            ciede2000: [1, 1.5, 2.5, 3.5, 6]
+        }[formula] || [1, 2, 4, 5, 10];
+
+        const labels = ['Imperceptible', 'Very slight', 'Slight', 'Noticeable', 'Significant', 'Very significant'];
+
+        return labels.map((label, i) => ({
+            label,
+            min: i === 0 ? 0 : upperBounds[i - 1],
+            max: i < upperBounds.length ? upperBounds[i] : Infinity
+        }));
+    }
+
     // Get Delta E interpretation
-    static interpretDeltaE(deltaE) {
-        if (deltaE < 1) return 'Imperceptible';
-        if (deltaE < 2) return 'Very slight';
-        if (deltaE < 4) return 'Slight';
-        if (deltaE < 5) return 'Noticeable';
-        if (deltaE < 10) return 'Significant';
-        return 'Very significant';
+    static interpretDeltaE(deltaE, formula = 'cie76') {
+        const band = ColorUtils.getDeltaEThresholds(formula).find(t => deltaE < t.max);
+        return band ? band.label : 'Very significant';
     }
 }
\ No newline at end of file
@@ -3,14 +3,18 @@
 class SmoothingAlgorithms {
     
     // HSL interpolation - good for maintaining hue relationships
-    static hslInterpolate(colors, lockedIndices = []) {
+    // With options.gamut 'display-p3', colors are P3 channels and HSL is taken over them
+    static hslInterpolate(colors, lockedIndices = [], options = {}) {
         const smoothed = [...colors];
         
         // Convert all colors to HSL
-        const hslColors = colors.map(color => ColorUtils.hexToHsl(color));
+        const hslColors = colors.map(color => {
+            const rgb = this.toRgbColor(color, options);
+            return ColorUtils.rgbToHsl(rgb.r, rgb.g, rgb.b);
+        });
         
         // Find segments between locked points
-        const segments = this.findSegments(lockedIndices, colors.length);
+        const segments = this.findSegments(lockedIndices, colors.length, options.positions);
         
         segments.forEach(segment => {
             if (segment.length <= 2) return; // No interpolation needed
@@ -31,14 +35,14 @@ class SmoothingAlgorithms {
             
             // Interpolate middle points
             for (let i = 1; i < segment.length - 1; i++) {
-                const factor = i / (segment.length - 1);
+                const factor = segment.factors[i];
                 const globalIndex = segment[i];
                 
                 const h = (startHsl.h + hueDiff * factor) % 360;
                 const s = startHsl.s + (endHsl.s - startHsl.s) * factor;
                 const l = startHsl.l + (endHsl.l - startHsl.l) * factor;
                 
-                smoothed[globalIndex] = ColorUtils.hslToHex(h < 0 ? h + 360 : h, s, l);
+                smoothed[globalIndex] = this.fromRgbColor(ColorUtils.hslToRgb(h < 0 ? h + 360 : h, s, l), options);
             }
         });
         
@@ -46,17 +50,14 @@ class SmoothingAlgorithms {
     }
     
     // LAB interpolation - perceptually uniform
-    static labInterpolate(colors, lockedIndices = []) {
+    static labInterpolate(colors, lockedIndices = [], options = {}) {
         const smoothed = [...colors];
         
         // Convert all colors to LAB
-        const labColors = colors.map(color => {
-            const rgb = ColorUtils.hexToRgb(color);
-            return ColorUtils.rgbToLab(rgb.r, rgb.g, rgb.b);
-        });
+        const labColors = colors.map(color => this.toLabColor(color, options));
         
         // Find segments between locked points
-        const segments = this.findSegments(lockedIndices, colors.length);
+        const segments = this.findSegments(lockedIndices, colors.length, options.positions);
         
         segments.forEach(segment => {
             if (segment.length <= 2) return;
@@ -66,30 +67,163 @@ class SmoothingAlgorithms {
             
             // Interpolate middle points
             for (let i = 1; i < segment.length - 1; i++) {
-                const factor = i / (segment.length - 1);
+                const factor = segment.factors[i];
                 const globalIndex = segment[i];
                 
                 const L = startLab.L + (endLab.L - startLab.L) * factor;
                 const A = startLab.A + (endLab.A - startLab.A) * factor;
                 const B = startLab.B + (endLab.B - startLab.B) * factor;
                 
-                const rgb = ColorUtils.labToRgb(L, A, B);
-                smoothed[globalIndex] = ColorUtils.rgbToHex(rgb.r, rgb.g, rgb.b);
+                smoothed[globalIndex] = this.toGamutColor('lab', { l: L, a: A, b: B }, globalIndex, options);
             }
         });
         
         return smoothed;
     }
     
-    // RGB linear interpolation - simple but can look muddy
-    static rgbLinearInterpolate(colors, lockedIndices = []) {
+    // OKLab interpolation - perceptually uniform with better hue linearity than LAB
+    static oklabInterpolate(colors, lockedIndices = [], options = {}) {
+        const smoothed = [...colors];
+        
+        // Convert all colors to OKLab
+        const oklabColors = colors.map(color => ColorUtils.hexToOklab(color));
+        
+        // Find segments between locked points
+        const segments = this.findSegments(lockedIndices, colors.length, options.positions);
+        
+        segments.forEach(segment => {
+            if (segment.length <= 2) return;
+            
+            const startLab = oklabColors[segment[0]];
+            const endLab = oklabColors[segment[segment.length - 1]];
+            
+            // Interpolate middle points
+            for (let i = 1; i < segment.length - 1; i++) {
+                const factor = segment.factors[i];
+                const globalIndex = segment[i];
+                
+                const l = startLab.l + (endLab.l - startLab.l) * factor;
+                const a = startLab.a + (endLab.a - startLab.a) * factor;
+                const b = startLab.b + (endLab.b - startLab.b) * factor;
+                
+                smoothed[globalIndex] = this.toGamutHex('oklab', { l, a, b }, globalIndex, options);
+            }
+        });
+        
+        return smoothed;
+    }
+    
+    // OKLCH interpolation - perceptual lightness and chroma with circular hue
+    static oklchInterpolate(colors, lockedIndices = [], options = {}) {
+        const smoothed = [...colors];
+        
+        // Convert all colors to OKLCH
+        const oklchColors = colors.map(color => ColorUtils.hexToOklch(color));
+        
+        // Find segments between locked points
+        const segments = this.findSegments(lockedIndices, colors.length, options.positions);
+        
+        segments.forEach(segment => {
+            if (segment.length <= 2) return;
+            
+            const startLch = { ...oklchColors[segment[0]] };
+            const endLch = { ...oklchColors[segment[segment.length - 1]] };
+            
+            // Achromatic endpoints have no meaningful hue - borrow the other one
+            if (startLch.c < 0.0001) startLch.h = endLch.h;
+            if (endLch.c < 0.0001) endLch.h = startLch.h;
+            
+            // Handle hue interpolation (circular)
+            let hueDiff = endLch.h - startLch.h;
+            if (hueDiff > 180) {
+                hueDiff -= 360;
+            } else if (hueDiff < -180) {
+                hueDiff += 360;
+            }
+            
+            // Interpolate middle points
+            for (let i = 1; i < segment.length - 1; i++) {
+                const factor = segment.factors[i];
+                const globalIndex = segment[i];
+                
+                const l = startLch.l + (endLch.l - startLch.l) * factor;
+                const c = startLch.c + (endLch.c - startLch.c) * factor;
+                const h = (startLch.h + hueDiff * factor + 360) % 360;
+                
+                smoothed[globalIndex] = this.toGamutHex('oklab', ColorUtils.oklchToOklab(l, c, h), globalIndex, options);
+            }
+        });
+        
+        return smoothed;
+    }
+    
+    // Display-P3 interpolation - blends wide-gamut colors in OKLab or OKLCH and maps results into P3
+    // Takes and returns encoded P3 channels ({ r, g, b } in 0-1) instead of hex
+    static p3Interpolate(p3Colors, lockedIndices = [], options = {}) {
+        const smoothed = p3Colors.map(p3 => ({ ...p3 }));
+        const polar = options.space === 'oklch';
+        
+        // Convert all colors to OKLab
+        const oklabColors = p3Colors.map(p3 => ColorUtils.p3ToOklab(p3));
+        
+        // Find segments between locked points
+        const segments = this.findSegments(lockedIndices, p3Colors.length, options.positions);
+        
+        segments.forEach(segment => {
+            if (segment.length <= 2) return;
+            
+            const startLab = oklabColors[segment[0]];
+            const endLab = oklabColors[segment[segment.length - 1]];
+            const startLch = ColorUtils.oklabToOklch(startLab.l, startLab.a, startLab.b);
+            const endLch = ColorUtils.oklabToOklch(endLab.l, endLab.a, endLab.b);
+            
+            // Achromatic endpoints have no meaningful hue - borrow the other one
+            if (startLch.c < 0.0001) startLch.h = endLch.h;
+            if (endLch.c < 0.0001) endLch.h = startLch.h;
+            
+            let hueDiff = endLch.h - startLch.h;
+            if (hueDiff > 180) {
+                hueDiff -= 360;
+            } else if (hueDiff < -180) {
+                hueDiff += 360;
+            }
+            
+            // Interpolate middle points
+            for (let i = 1; i < segment.length - 1; i++) {
+                const factor = segment.factors[i];
+                const globalIndex = segment[i];
+                
+                let lab;
+                if (polar) {
+                    lab = ColorUtils.oklchToOklab(
+                        startLch.l + (endLch.l - startLch.l) * factor,
+                        startLch.c + (endLch.c - startLch.c) * factor,
+                        (startLch.h + hueDiff * factor + 360) % 360
+                    );
+                } else {
+                    lab = {
+                        l: startLab.l + (endLab.l - startLab.l) * factor,
+                        a: startLab.a + (endLab.a - startLab.a) * factor,
+                        b: startLab.b + (endLab.b - startLab.b) * factor
+                    };
+                }
+                
+                smoothed[globalIndex] = this.toGamutColor('oklab', lab, globalIndex, { ...options, gamut: 'display-p3' });
+            }
+        });
+        
+        return smoothed;
+    }
+    
+    // RGB linear interpolation - simple but can look muddy (on P3 channels in Display-P3 runs)
+    static rgbLinearInterpolate(colors, lockedIndices = [], options = {}) {
         const smoothed = [...colors];
         
         // Convert all colors to RGB
-        const rgbColors = colors.map(color => ColorUtils.hexToRgb(color));
+        const rgbColors = colors.map(color => this.toRgbColor(color, options));
         
         // Find segments between locked points
-        const segments = this.findSegments(lockedIndices, colors.length);
+        const segments = this.findSegments(lockedIndices, colors.length, options.positions);
         
         segments.forEach(segment => {
             if (segment.length <= 2) return;
@@ -99,26 +233,26 @@ class SmoothingAlgorithms {
             
             // Interpolate middle points
             for (let i = 1; i < segment.length - 1; i++) {
-                const factor = i / (segment.length - 1);
+                const factor = segment.factors[i];
                 const globalIndex = segment[i];
                 
                 const r = startRgb.r + (endRgb.r - startRgb.r) * factor;
                 const g = startRgb.g + (endRgb.g - startRgb.g) * factor;
                 const b = startRgb.b + (endRgb.b - startRgb.b) * factor;
                 
-                smoothed[globalIndex] = ColorUtils.rgbToHex(r, g, b);
+                smoothed[globalIndex] = this.fromRgbColor({ r, g, b }, options);
             }
         });
         
         return smoothed;
     }
     
-    // Bezier curve interpolation - smooth curves
-    static bezierInterpolate(colors, lockedIndices = []) {
+    // Bezier curve interpolation - smooth curves (on P3 channels in Display-P3 runs)
+    static bezierInterpolate(colors, lockedIndices = [], options = {}) {
         const smoothed = [...colors];
         
         // Find segments between locked points
-        const segments = this.findSegments(lockedIndices, colors.length);
+        const segments = this.findSegments(lockedIndices, colors.length, options.positions);
         
         segments.forEach(segment => {
             if (segment.length <= 2) return;
@@ -127,8 +261,8 @@ class SmoothingAlgorithms {
             const endColor = colors[segment[segment.length - 1]];
             
             // Create control points for bezier curve
-            const startRgb = ColorUtils.hexToRgb(startColor);
-            const endRgb = ColorUtils.hexToRgb(endColor);
+            const startRgb = this.toRgbColor(startColor, options);
+            const endRgb = this.toRgbColor(endColor, options);
             
             // Simple bezier with automatic control points
             const controlPoint1 = {
@@ -145,17 +279,663 @@ class SmoothingAlgorithms {
             
             // Interpolate using cubic bezier
             for (let i = 1; i < segment.length - 1; i++) {
-                const t = i / (segment.length - 1);
+                const t = segment.factors[i];
                 const globalIndex = segment[i];
                 
                 const rgb = this.cubicBezier(startRgb, controlPoint1, controlPoint2, endRgb, t);
-                smoothed[globalIndex] = ColorUtils.rgbToHex(rgb.r, rgb.g, rgb.b);
+                smoothed[globalIndex] = this.fromRgbColor(rgb, options);
             }
         });
         
         return smoothed;
     }
     
+    // Spline interpolation - one cubic curve through every locked color, C1 continuous across anchors
+    // options.method picks 'catmullrom' or 'monotone' (Fritsch-Carlson, never overshoots an anchor);
+    // options.space picks 'oklab', 'oklch', 'lab' or 'rgb'; with options.gamut 'display-p3' colors are
+    // encoded P3 channels ({ r, g, b } in 0-1) and results are mapped into P3
+    static splineInterpolate(colors, lockedIndices = [], options = {}) {
+        const smoothed = [...colors];
+        const method = options.method || 'catmullrom';
+        const space = options.space || 'oklab';
+        
+        // Find segments between locked points - their boundaries are the spline knots
+        const segments = this.findSegments(lockedIndices, colors.length, options.positions);
+        if (segments.length === 0) return smoothed;
+        
+        const knots = segments.map(segment => segment[0]);
+        const lastSegment = segments[segments.length - 1];
+        knots.push(lastSegment[lastSegment.length - 1]);
+        
+        // Knot x values are band positions when given, otherwise band indices
+        const knotXs = options.positions ? knots.map(index => options.positions[index]) : knots;
+        
+        // Channel values at each knot in the chosen space
+        const points = knots.map(index => this.toSplineChannels(colors[index], space, options));
+        if (space === 'oklch') {
+            this.unwrapSplineHues(points);
+        }
+        
+        // Tangents per channel, shared by the segments on either side of a knot
+        const tangents = [0, 1, 2].map(channel => {
+            const values = points.map(point => point[channel]);
+            return method === 'monotone'
+                ? this.monotoneTangents(knotXs, values)
+                : this.catmullRomTangents(knotXs, values);
+        });
+        
+        segments.forEach((segment, k) => {
+            if (segment.length <= 2) return;
+            
+            const width = knotXs[k + 1] - knotXs[k];
+            
+            // Interpolate middle points
+            for (let i = 1; i < segment.length - 1; i++) {
+                const t = segment.factors[i];
+                const globalIndex = segment[i];
+                
+                const values = [0, 1, 2].map(channel => this.cubicHermite(
+                    points[k][channel],
+                    points[k + 1][channel],
+                    tangents[channel][k] * width,
+                    tangents[channel][k + 1] * width,
+                    t
+                ));
+                
+                smoothed[globalIndex] = this.fromSplineChannels(values, space, globalIndex, options);
+            }
+        });
+        
+        return smoothed;
+    }
+    
+    // Equal delta E spacing - keeps the current path through color space but moves unlocked
+    // bands along it so adjacent steps differ by equal delta E (or follow options.curve).
+    // Takes and returns P3 channels when options.gamut is 'display-p3'
+    static deltaEEqualize(colors, lockedIndices = [], options = {}) {
+        const smoothed = [...colors];
+        const formula = options.formula || 'cie76';
+        const curve = options.curve || 'equal';
+        const subdivisions = 16;
+        
+        // Find segments between locked points
+        const segments = this.findSegments(lockedIndices, colors.length, options.positions);
+        
+        segments.forEach(segment => {
+            if (segment.length <= 2) return;
+            
+            // Sample the path densely in OKLab between each pair of current bands
+            const samples = [];
+            for (let j = 0; j < segment.length - 1; j++) {
+                const start = this.toOklabColor(colors[segment[j]], options);
+                const end = this.toOklabColor(colors[segment[j + 1]], options);
+                
+                for (let s = 0; s < subdivisions; s++) {
+                    samples.push(this.lerpOklab(start, end, s / subdivisions));
+                }
+            }
+            samples.push(this.toOklabColor(colors[segment[segment.length - 1]], options));
+            
+            // Cumulative delta E along the path; P3 samples are measured as unclamped LAB
+            const sampleColors = samples.map(lab => options.gamut === 'display-p3'
+                ? ColorUtils.oklabToLab(lab.l, lab.a, lab.b)
+                : ColorUtils.oklabToHex(lab.l, lab.a, lab.b));
+            const distances = [0];
+            for (let k = 1; k < sampleColors.length; k++) {
+                distances.push(distances[k - 1] + ColorUtils.calculateDeltaE(sampleColors[k - 1], sampleColors[k], formula));
+            }
+            
+            const total = distances[distances.length - 1];
+            if (total === 0) return;
+            
+            // Place middle points at their target share of the total delta E
+            let k = 0;
+            for (let i = 1; i < segment.length - 1; i++) {
+                const target = total * this.spacingCurve(segment.factors[i], curve);
+                const globalIndex = segment[i];
+                
+                while (k < distances.length - 2 && distances[k + 1] < target) {
+                    k++;
+                }
+                
+                const span = distances[k + 1] - distances[k];
+                const factor = span > 0 ? (target - distances[k]) / span : 0;
+                
+                smoothed[globalIndex] = this.toGamutColor('oklab', this.lerpOklab(samples[k], samples[k + 1], factor), globalIndex, options);
+            }
+        });
+        
+        return smoothed;
+    }
+    
+    // Share of a segment's total delta E (or a lightness curve's range) reached at position t (0-1)
+    static spacingCurve(t, curve) {
+        switch (curve) {
+            case 'ease-in':
+                return t * t;
+            case 'ease-out':
+                return 1 - (1 - t) * (1 - t);
+            case 'ease-in-out':
+                return t * t * (3 - 2 * t);
+            default:
+                return t;
+        }
+    }
+    
+    // Target lightness - solves each unlocked band to reach options.targets[index] (CIELAB L*)
+    // while keeping its LCh chroma and hue; a few passes correct for drift from gamut mapping.
+    // Takes and returns P3 channels when options.gamut is 'display-p3'
+    static lightnessTargetInterpolate(colors, lockedIndices = [], options = {}) {
+        const targets = options.targets || [];
+        const locked = new Set(lockedIndices);
+        const toLab = color => this.toLabColor(color, options);
+        
+        return colors.map((color, index) => {
+            if (locked.has(index) || typeof targets[index] !== 'number') return color;
+            
+            const lab = toLab(color);
+            const target = Math.max(0, Math.min(100, targets[index]));
+            
+            let L = target;
+            let result = color;
+            for (let pass = 0; pass < 4; pass++) {
+                result = this.toGamutColor('lab', { l: L, a: lab.A, b: lab.B }, index, options);
+                
+                const error = target - toLab(result).L;
+                if (Math.abs(error) < 0.1) break;
+                L = Math.max(0, Math.min(100, L + error));
+            }
+            
+            return result;
+        });
+    }
+    
+    // Target L* per band, shaped by a curve from startL to endL
+    // curve is 'linear', 'ease-in', 'ease-out', 'ease-in-out' or 'bezier' (using handles { x1, y1, x2, y2 });
+    // positions (0-1 per band) places bands along the curve, evenly by index when omitted
+    static lightnessTargets(startL, endL, count, curve = 'linear', handles = null, positions = null) {
+        const targets = [];
+        
+        for (let i = 0; i < count; i++) {
+            const t = positions ? positions[i] : (count > 1 ? i / (count - 1) : 0);
+            const progress = curve === 'bezier' && handles
+                ? this.bezierEasing(t, handles)
+                : this.spacingCurve(t, curve);
+            targets.push(startL + (endL - startL) * progress);
+        }
+        
+        return targets;
+    }
+    
+    // CSS-style cubic bezier easing - solves x(s) = t, then returns y(s)
+    static bezierEasing(t, handles) {
+        const { x1, y1, x2, y2 } = handles;
+        const bezier = (s, p1, p2) => 3 * (1 - s) * (1 - s) * s * p1 + 3 * (1 - s) * s * s * p2 + s * s * s;
+        
+        // Bisection is enough here since x(s) is monotonic for handles with x in 0-1
+        let low = 0;
+        let high = 1;
+        let s = t;
+        for (let i = 0; i < 30; i++) {
+            s = (low + high) / 2;
+            if (bezier(s, x1, x2) < t) {
+                low = s;
+            } else {
+                high = s;
+            }
+        }
+        
+        return bezier(s, y1, y2);
+    }
+    
+    // APCA target - solves each unlocked band's L* so its APCA Lc against white matches
+    // options.targets[index], keeping the band's LAB a/b. Takes and returns P3 channels when
+    // options.gamut is 'display-p3'
+    static apcaTargetInterpolate(colors, lockedIndices = [], options = {}) {
+        const targets = options.targets || [];
+        const locked = new Set(lockedIndices);
+        const searchOptions = { ...options, outOfGamut: null };
+        
+        return colors.map((color, index) => {
+            if (locked.has(index) || typeof targets[index] !== 'number') return color;
+            
+            // Already on target - this also keeps very light bands, whose Lc clamps to 0, as they are
+            if (Math.abs(ColorUtils.getAPCAContrast(color, '#ffffff') - targets[index]) < 0.05) return color;
+            
+            const lab = this.toLabColor(color, options);
+            
+            // Lc against white only falls as L* rises, so bisect on L*
+            let low = 0;
+            let high = 100;
+            for (let i = 0; i < 24; i++) {
+                const L = (low + high) / 2;
+                const candidate = this.toGamutColor('lab', { l: L, a: lab.A, b: lab.B }, index, searchOptions);
+                if (ColorUtils.getAPCAContrast(candidate, '#ffffff') > targets[index]) {
+                    low = L;
+                } else {
+                    high = L;
+                }
+            }
+            
+            return this.toGamutColor('lab', { l: (low + high) / 2, a: lab.A, b: lab.B }, index, options);
+        });
+    }
+    
+    // Cross-scale alignment - moves same-index steps of several equal-length scales to one shared
+    // value: L* (options.metric 'lightness') or APCA Lc against white ('apca').
+    // scales is [{ colors, lockedIndices, gamut }], with P3 channels as colors for 'display-p3' scales.
+    // Targets come from options.reference (a scale index,
+    // left untouched) or, with -1, the average of each step - locked steps win when present.
+    // Returns { scales, targets, residuals, outOfGamut } with the remaining spread per step in residuals
+    static alignLightness(scales, options = {}) {
+        const metric = options.metric || 'lightness';
+        const reference = options.reference ?? -1;
+        const measure = (color, scale) => metric === 'apca'
+            ? ColorUtils.getAPCAContrast(color, '#ffffff')
+            : (scale.gamut === 'display-p3' ? ColorUtils.p3ToLab(color) : ColorUtils.hexToLab(color)).l;
+        const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const count = scales[0].colors.length;
+        
+        const targets = [];
+        for (let i = 0; i < count; i++) {
+            if (reference >= 0) {
+                targets.push(measure(scales[reference].colors[i], scales[reference]));
+                continue;
+            }
+            
+            const lockedValues = scales
+                .filter(scale => scale.lockedIndices.includes(i))
+                .map(scale => measure(scale.colors[i], scale));
+            targets.push(average(lockedValues.length > 0 ? lockedValues : scales.map(scale => measure(scale.colors[i], scale))));
+        }
+        
+        const outOfGamut = scales.map(() => new Set());
+        const aligned = scales.map((scale, scaleIndex) => {
+            if (scaleIndex === reference) return [...scale.colors];
+            
+            const scaleOptions = { ...options, targets, gamut: scale.gamut, outOfGamut: outOfGamut[scaleIndex] };
+            return metric === 'apca'
+                ? this.apcaTargetInterpolate(scale.colors, scale.lockedIndices, scaleOptions)
+                : this.lightnessTargetInterpolate(scale.colors, scale.lockedIndices, scaleOptions);
+        });
+        
+        const residuals = targets.map((_, i) => {
+            const values = aligned.map((colors, scaleIndex) => measure(colors[i], scales[scaleIndex]));
+            return Math.max(...values) - Math.min(...values);
+        });
+        
+        return { scales: aligned, targets, residuals, outOfGamut };
+    }
+    
+    // Seed scale - builds a full scale around one seed color that lands exactly at seedIndex
+    // Lightness runs from options.lightest to options.darkest through the seed's OKLCH lightness;
+    // options.hueDrift (degrees across the whole scale) rotates hue toward the dark end and
+    // options.chromaFalloff (0-1) fades chroma toward both ends. With options.gamut 'display-p3' the
+    // seed and results are P3 channels, so bands can keep chroma outside sRGB
+    static seedScale(seedColor, count, seedIndex, options = {}) {
+        const lightest = options.lightest ?? 0.98;
+        const darkest = options.darkest ?? 0.26;
+        const hueDrift = options.hueDrift || 0;
+        const chromaFalloff = options.chromaFalloff ?? 0.5;
+        
+        const seedLab = this.toOklabColor(seedColor, options);
+        const seed = ColorUtils.oklabToOklch(seedLab.l, seedLab.a, seedLab.b);
+        const topL = Math.max(lightest, seed.l);
+        const bottomL = Math.min(darkest, seed.l);
+        const positionOf = index => options.positions ? options.positions[index] : (count > 1 ? index / (count - 1) : 0);
+        const seedPosition = positionOf(seedIndex);
+        
+        const scale = [];
+        for (let i = 0; i < count; i++) {
+            if (i === seedIndex) {
+                scale.push(typeof seedColor === 'string' ? seedColor.toLowerCase() : { ...seedColor });
+                continue;
+            }
+            
+            // Lightness moves linearly by position on each side of the seed
+            const isLighter = i < seedIndex;
+            const sideFactor = isLighter
+                ? (seedPosition - positionOf(i)) / seedPosition
+                : (positionOf(i) - seedPosition) / (1 - seedPosition);
+            const l = seed.l + ((isLighter ? topL : bottomL) - seed.l) * sideFactor;
+            
+            // Chroma fades with distance from the seed; hue drifts with position in the scale
+            const c = seed.c * (1 - chromaFalloff * sideFactor);
+            const h = (seed.h + hueDrift * (positionOf(i) - seedPosition) + 360) % 360;
+            
+            scale.push(this.toGamutColor('oklab', ColorUtils.oklchToOklab(l, c, h), i, options));
+        }
+        
+        return scale;
+    }
+    
+    // Dark variant - remaps each band so it has the same WCAG contrast against options.background
+    // (default #111111) as the light band has against options.lightBackground (default white),
+    // keeping OKLCH hue. Chroma drops by options.chromaCompensation (0-1) scaled by the new
+    // lightness, since light saturated colors glow on dark backgrounds. Locked bands are kept as is
+    // Takes and returns encoded Display-P3 channels when options.gamut is 'display-p3'
+    static darkVariant(colors, lockedIndices = [], options = {}) {
+        const background = options.background || '#111111';
+        const lightBackground = options.lightBackground || '#ffffff';
+        const compensation = options.chromaCompensation ?? 0.2;
+        const locked = new Set(lockedIndices);
+        const searchOptions = { ...options, outOfGamut: null };
+        const backgroundL = ColorUtils.hexToOklch(background).l;
+        
+        return colors.map((color, index) => {
+            if (locked.has(index)) return color;
+            
+            const oklab = this.toOklabColor(color, options);
+            const lch = ColorUtils.oklabToOklch(oklab.l, oklab.a, oklab.b);
+            const target = ColorUtils.getContrastRatio(color, lightBackground);
+            const toColor = (l, bandOptions) => this.toGamutColor('oklab',
+                ColorUtils.oklchToOklab(l, lch.c * (1 - compensation * l), lch.h), index, bandOptions);
+            
+            // Contrast against the dark background only grows as lightness rises above it
+            let low = backgroundL;
+            let high = 1;
+            for (let i = 0; i < 24; i++) {
+                const l = (low + high) / 2;
+                if (ColorUtils.getContrastRatio(toColor(l, searchOptions), background) < target) {
+                    low = l;
+                } else {
+                    high = l;
+                }
+            }
+            
+            return toColor((low + high) / 2, options);
+        });
+    }
+    
+    // Data-viz scale - spreads anchors evenly along the scale (a low hue, neutral midpoint and high hue
+    // for diverging scales, or several hues for multi-hue sequential ones) and fills the bands between
+    // them with the monotone spline through OKLab, so lightness never overshoots an anchor. Anchors that
+    // fall between two bands are solved as extra locked points and then dropped, which keeps even band
+    // counts symmetric around the midpoint. Bands sit at options.positions (0-1) when given.
+    // Returns the colors and the bands to lock so later segment smoothing keeps the curve: the band
+    // nearest each anchor, or both center bands when a diverging midpoint falls between them
+    static dataVizScale(anchors, count, options = {}) {
+        const points = Array.from({ length: count }, (_, index) => ({
+            position: options.positions ? options.positions[index] : (count > 1 ? index / (count - 1) : 0),
+            band: index,
+            color: null
+        }));
+        const bandPoints = [...points];
+        const anchorIndices = new Set();
+        
+        anchors.forEach((color, k) => {
+            const position = anchors.length > 1 ? k / (anchors.length - 1) : 0;
+            const match = points.find(point => Math.abs(point.position - position) < 1e-9);
+            if (match) {
+                match.color = color;
+                anchorIndices.add(match.band);
+                return;
+            }
+            
+            points.push({ position, band: null, color });
+            const after = bandPoints.findIndex(point => point.position > position);
+            const before = after - 1;
+            if (options.diverging && k === (anchors.length - 1) / 2) {
+                anchorIndices.add(before);
+                anchorIndices.add(after);
+            } else {
+                const nearest = position - bandPoints[before].position <= bandPoints[after].position - position ? before : after;
+                anchorIndices.add(nearest);
+            }
+        });
+        points.sort((a, b) => a.position - b.position);
+        
+        const lockedIndices = points.map((point, i) => point.color ? i : -1).filter(i => i >= 0);
+        const pointOptions = { ...options, outOfGamut: new Set() };
+        const smoothed = this.splineInterpolate(points.map(point => point.color || '#808080'), lockedIndices, {
+            ...pointOptions,
+            method: 'monotone',
+            space: options.space || 'oklab',
+            positions: points.map(point => point.position)
+        });
+        
+        // Report gamut mapping against band indices rather than solved points
+        points.forEach((point, i) => {
+            if (point.band !== null && options.outOfGamut && pointOptions.outOfGamut.has(i)) {
+                options.outOfGamut.add(point.band);
+            }
+        });
+        
+        return {
+            colors: points.map((point, i) => ({ point, color: smoothed[i] })).filter(({ point }) => point.band !== null).map(({ color }) => color),
+            anchorIndices: [...anchorIndices].sort((a, b) => a - b)
+        };
+    }
+    
+    // Helper function to blend two OKLab colors
+    static lerpOklab(start, end, factor) {
+        return {
+            l: start.l + (end.l - start.l) * factor,
+            a: start.a + (end.a - start.a) * factor,
+            b: start.b + (end.b - start.b) * factor
+        };
+    }
+    
+    // Read a hex color (or P3 channels in Display-P3 runs) as three spline channels in the given space
+    static toSplineChannels(color, space, options = {}) {
+        if (options.gamut === 'display-p3') {
+            switch (space) {
+                case 'lab': {
+                    const lab = ColorUtils.p3ToLab(color);
+                    return [lab.l, lab.a, lab.b];
+                }
+                case 'oklch': {
+                    const lab = ColorUtils.p3ToOklab(color);
+                    const lch = ColorUtils.oklabToOklch(lab.l, lab.a, lab.b);
+                    return [lch.l, lch.c, lch.h];
+                }
+                case 'rgb':
+                    return [color.r * 255, color.g * 255, color.b * 255];
+                default: {
+                    const lab = ColorUtils.p3ToOklab(color);
+                    return [lab.l, lab.a, lab.b];
+                }
+            }
+        }
+        
+        switch (space) {
+            case 'lab': {
+                const rgb = ColorUtils.hexToRgb(color);
+                const lab = ColorUtils.rgbToLab(rgb.r, rgb.g, rgb.b);
+                return [lab.L, lab.A, lab.B];
+            }
+            case 'oklch': {
+                const lch = ColorUtils.hexToOklch(color);
+                return [lch.l, lch.c, lch.h];
+            }
+            case 'rgb': {
+                const rgb = ColorUtils.hexToRgb(color);
+                return [rgb.r, rgb.g, rgb.b];
+            }
+            default: {
+                const lab = ColorUtils.hexToOklab(color);
+                return [lab.l, lab.a, lab.b];
+            }
+        }
+    }
+    
+    // Convert spline channels back to a gamut-mapped hex color (or P3 channels in Display-P3 runs)
+    static fromSplineChannels(values, space, index, options = {}) {
+        const [x, y, z] = values;
+        
+        switch (space) {
+            case 'lab':
+                return this.toGamutColor('lab', { l: x, a: y, b: z }, index, options);
+            case 'oklch': {
+                const h = ((z % 360) + 360) % 360;
+                return this.toGamutColor('oklab', ColorUtils.oklchToOklab(x, Math.max(0, y), h), index, options);
+            }
+            case 'rgb': {
+                const clamp = value => Math.max(0, Math.min(255, value));
+                if (options.gamut === 'display-p3') {
+                    return { r: clamp(x) / 255, g: clamp(y) / 255, b: clamp(z) / 255 };
+                }
+                return ColorUtils.rgbToHex(clamp(x), clamp(y), clamp(z));
+            }
+            default:
+                return this.toGamutColor('oklab', { l: x, a: y, b: z }, index, options);
+        }
+    }
+    
+    // Unwrap OKLCH hues along the knots so each step takes the shortest way around the circle
+    static unwrapSplineHues(points) {
+        const chromatic = points.filter(point => point[1] >= 0.0001);
+        if (chromatic.length === 0) return;
+        
+        // Achromatic knots have no meaningful hue - borrow the nearest preceding (or first) chromatic one
+        let lastHue = chromatic[0][2];
+        points.forEach(point => {
+            if (point[1] < 0.0001) {
+                point[2] = lastHue;
+            } else {
+                lastHue = point[2];
+            }
+        });
+        
+        for (let k = 1; k < points.length; k++) {
+            let hueDiff = points[k][2] - points[k - 1][2];
+            while (hueDiff > 180) hueDiff -= 360;
+            while (hueDiff < -180) hueDiff += 360;
+            points[k][2] = points[k - 1][2] + hueDiff;
+        }
+    }
+    
+    // Catmull-Rom tangents for unevenly spaced knots (one-sided at the ends)
+    static catmullRomTangents(xs, ys) {
+        const n = xs.length;
+        if (n < 2) return [0];
+        
+        return xs.map((x, k) => {
+            const prev = Math.max(0, k - 1);
+            const next = Math.min(n - 1, k + 1);
+            return (ys[next] - ys[prev]) / (xs[next] - xs[prev]);
+        });
+    }
+    
+    // Monotone cubic tangents (Fritsch-Carlson) - flat at local extrema, limited to avoid overshoot
+    static monotoneTangents(xs, ys) {
+        const n = xs.length;
+        if (n < 2) return [0];
+        
+        const secants = [];
+        for (let k = 0; k < n - 1; k++) {
+            secants.push((ys[k + 1] - ys[k]) / (xs[k + 1] - xs[k]));
+        }
+        
+        const tangents = [secants[0]];
+        for (let k = 1; k < n - 1; k++) {
+            tangents.push(secants[k - 1] * secants[k] <= 0 ? 0 : (secants[k - 1] + secants[k]) / 2);
+        }
+        tangents.push(secants[n - 2]);
+        
+        for (let k = 0; k < n - 1; k++) {
+            if (secants[k] === 0) {
+                tangents[k] = 0;
+                tangents[k + 1] = 0;
+                continue;
+            }
+            
+            const alpha = tangents[k] / secants[k];
+            const beta = tangents[k + 1] / secants[k];
+            const magnitude = alpha * alpha + beta * beta;
+            if (magnitude > 9) {
+                const tau = 3 / Math.sqrt(magnitude);
+                tangents[k] = tau * alpha * secants[k];
+                tangents[k + 1] = tau * beta * secants[k];
+            }
+        }
+        
+        return tangents;
+    }
+    
+    // Helper function to evaluate a cubic Hermite curve (tangents already scaled to the interval)
+    static cubicHermite(y0, y1, m0, m1, t) {
+        const tt = t * t;
+        const ttt = tt * t;
+        
+        return (2 * ttt - 3 * tt + 1) * y0 +
+            (ttt - 2 * tt + t) * m0 +
+            (-2 * ttt + 3 * tt) * y1 +
+            (ttt - tt) * m1;
+    }
+    
+    // Convert an interpolated LAB/OKLab color to hex, gamut mapping it into sRGB
+    // options.gamutMapping picks 'css4' (chroma reduction) or 'clip';
+    // indices whose unmapped value fell outside sRGB are added to options.outOfGamut
+    static toGamutHex(space, lab, index, options = {}) {
+        const linear = space === 'lab'
+            ? ColorUtils.labToLinearRgb(lab.l, lab.a, lab.b)
+            : ColorUtils.oklabToLinearRgb(lab.l, lab.a, lab.b);
+        
+        if (options.outOfGamut && !ColorUtils.isLinearRgbInGamut(linear)) {
+            options.outOfGamut.add(index);
+        }
+        
+        const oklab = space === 'lab'
+            ? ColorUtils.linearRgbToOklab(linear.r, linear.g, linear.b)
+            : lab;
+        const rgb = ColorUtils.gamutMapOklab(oklab.l, oklab.a, oklab.b, options.gamutMapping || 'css4');
+        return ColorUtils.rgbToHex(rgb.r, rgb.g, rgb.b);
+    }
+    
+    // Like toGamutHex, but returns encoded P3 channels ({ r, g, b } in 0-1) mapped into Display P3
+    // when options.gamut is 'display-p3'; outOfGamut then flags values outside P3
+    static toGamutColor(space, lab, index, options = {}) {
+        if (options.gamut !== 'display-p3') {
+            return this.toGamutHex(space, lab, index, options);
+        }
+        
+        let oklab = lab;
+        if (space === 'lab') {
+            const linear = ColorUtils.labToLinearRgb(lab.l, lab.a, lab.b);
+            oklab = ColorUtils.linearRgbToOklab(linear.r, linear.g, linear.b);
+        }
+        
+        const linearP3 = ColorUtils.oklabToLinearP3(oklab.l, oklab.a, oklab.b);
+        if (options.outOfGamut && !ColorUtils.isLinearRgbInGamut(linearP3)) {
+            options.outOfGamut.add(index);
+        }
+        
+        return ColorUtils.gamutMapOklab(oklab.l, oklab.a, oklab.b, options.gamutMapping || 'css4', 'display-p3');
+    }
+    
+    // Read a hex color (or P3 channels when options.gamut is 'display-p3') as 0-255 RGB
+    static toRgbColor(color, options = {}) {
+        if (options.gamut === 'display-p3') {
+            return { r: color.r * 255, g: color.g * 255, b: color.b * 255 };
+        }
+        return ColorUtils.hexToRgb(color);
+    }
+    
+    // Write 0-255 RGB back as hex, or as P3 channels when options.gamut is 'display-p3'
+    static fromRgbColor(rgb, options = {}) {
+        if (options.gamut === 'display-p3') {
+            const clamp = value => Math.max(0, Math.min(1, value / 255));
+            return { r: clamp(rgb.r), g: clamp(rgb.g), b: clamp(rgb.b) };
+        }
+        return ColorUtils.rgbToHex(rgb.r, rgb.g, rgb.b);
+    }
+    
+    // Read a hex color (or P3 channels when options.gamut is 'display-p3') as LAB ({ L, A, B })
+    static toLabColor(color, options = {}) {
+        if (options.gamut === 'display-p3') {
+            const lab = ColorUtils.p3ToLab(color);
+            return { L: lab.l, A: lab.a, B: lab.b };
+        }
+        const rgb = ColorUtils.hexToRgb(color);
+        return ColorUtils.rgbToLab(rgb.r, rgb.g, rgb.b);
+    }
+    
+    // Read a hex color (or P3 channels when options.gamut is 'display-p3') as OKLab
+    static toOklabColor(color, options = {}) {
+        return options.gamut === 'display-p3' ? ColorUtils.p3ToOklab(color) : ColorUtils.hexToOklab(color);
+    }
+    
     // Helper function to calculate cubic bezier point
     static cubicBezier(p0, p1, p2, p3, t) {
         const u = 1 - t;
@@ -172,7 +952,7 @@ class SmoothingAlgorithms {
     }
     
     // Find segments between locked indices
-    static findSegments(lockedIndices, totalLength) {
+    static findSegments(lockedIndices, totalLength, positions = null) {
         const segments = [];
         const sortedLocked = [...lockedIndices].sort((a, b) => a - b);
         
@@ -191,6 +971,7 @@ class SmoothingAlgorithms {
                 segment.push(j);
             }
             if (segment.length > 1) {
+                segment.factors = this.segmentFactors(segment, positions);
                 segments.push(segment);
             }
         }
@@ -198,6 +979,16 @@ class SmoothingAlgorithms {
         return segments;
     }
     
+    // How far each band of a segment sits between its two ends (0-1): by band position when
+    // positions (0-1 per band) are given, evenly by index otherwise
+    static segmentFactors(segment, positions) {
+        const last = segment.length - 1;
+        const start = positions ? positions[segment[0]] : 0;
+        const span = positions ? positions[segment[last]] - start : 0;
+        
+        return segment.map((index, i) => span > 0 ? (positions[index] - start) / span : i / last);
+    }
+    
     // Apply smoothing with strength factor
     static applyWithStrength(originalColors, smoothedColors, strength) {
         if (strength === 1) return smoothedColors;
@@ -216,4 +1007,20 @@ class SmoothingAlgorithms {
             return ColorUtils.rgbToHex(r, g, b);
         });
     }
+    
+    // Apply smoothing with strength factor to Display-P3 channels
+    static applyWithStrengthP3(originalColors, smoothedColors, strength) {
+        if (strength === 1) return smoothedColors;
+        if (strength === 0) return originalColors;
+        
+        return originalColors.map((original, index) => {
+            const smoothed = smoothedColors[index];
+            
+            return {
+                r: original.r + (smoothed.r - original.r) * strength,
+                g: original.g + (smoothed.g - original.g) * strength,
+                b: original.b + (smoothed.b - original.b) * strength
+            };
+        });
+    }
 }
\ No newline at end of file